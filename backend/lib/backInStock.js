@@ -0,0 +1,209 @@
+// lib/backInStock.js — "notify me when available" for sold-out products and variants
+// Shoppers subscribe with an email and/or a WhatsApp number. A background job (server.js) sends
+// one batched message per contact listing everything they wanted that is back, with an
+// unsubscribe link. Each contact hears from us at most once per BACK_IN_STOCK_COOLDOWN_HOURS;
+// anything that came back in the meantime waits for the next run.
+import crypto from 'node:crypto';
+import Product from '../models/Product.js';
+import StockSubscription from '../models/StockSubscription.js';
+import { variantLabel } from './pricing.js';
+import { isLive } from './lifecycle.js';
+import { sendEmail, sendWhatsAppText, sendWhatsAppTemplate } from './notify.js';
+
+const {
+  SHOP_URL = 'https://www.lwgpartnersnetwork.com',
+  PUBLIC_API_URL = 'https://lwg-api.onrender.com',
+  WA_TEMPLATE_BACK_IN_STOCK,
+} = process.env;
+
+export const COOLDOWN_HOURS = Math.max(0, Number(process.env.BACK_IN_STOCK_COOLDOWN_HOURS ?? 24) || 0);
+export const MAX_WAITING_PER_CONTACT = 20;
+
+const PRODUCT_FIELDS = 'title slug status publishAt unpublishAt stock options variants.sku variants.options variants.stock';
+
+export class SubscriptionError extends Error {
+  constructor(message, { status = 400, code = 'INVALID', details = {} } = {}) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** Stock left for a subscription's unit (the whole product when sku is '') */
+export function unitStock(product, sku = '') {
+  if (!sku) return Number(product?.stock) || 0;
+  return Number((product?.variants || []).find(v => v.sku === sku)?.stock) || 0;
+}
+
+const unitName = (p, sku) => {
+  const v = sku && (p.variants || []).find(x => x.sku === sku);
+  return p.title + (v ? ` (${variantLabel(v, p.options)})` : '');
+};
+const productUrl = (p) => `${SHOP_URL.replace(/\/+$/, '')}/product.html?id=${encodeURIComponent(p.slug || String(p._id))}`;
+export const unsubscribeUrl = (token) =>
+  `${PUBLIC_API_URL.replace(/\/+$/, '')}/api/back-in-stock/unsubscribe?token=${encodeURIComponent(token)}`;
+const escapeHtml = (s = '') => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Subscribe an email and/or phone to a sold-out product / variant (validated by the route).
+ * Subscribing again re-arms a notified or unsubscribed entry. Returns the channels subscribed.
+ */
+export async function subscribe({ product, sku = '', email, phone }) {
+  const contacts = [];
+  if (email) contacts.push({ channel: 'email', contact: email.toLowerCase() });
+  if (phone) contacts.push({ channel: 'whatsapp', contact: phone });
+
+  for (const c of contacts) {
+    const waiting = await StockSubscription.countDocuments({ contact: c.contact, status: 'waiting' });
+    if (waiting >= MAX_WAITING_PER_CONTACT) {
+      throw new SubscriptionError(`You can wait for at most ${MAX_WAITING_PER_CONTACT} items at a time`, { status: 429, code: 'TOO_MANY_SUBSCRIPTIONS' });
+    }
+  }
+  for (const c of contacts) {
+    try {
+      await StockSubscription.updateOne(
+        { product: product._id, sku, contact: c.contact },
+        { $set: { channel: c.channel, status: 'waiting' }, $setOnInsert: { token: crypto.randomBytes(16).toString('hex'), createdAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (e) {
+      if (e?.code !== 11000) throw e; // a concurrent identical request created it
+    }
+  }
+  return contacts.map(c => c.channel);
+}
+
+/**
+ * Stop every waiting alert for the contact behind an unsubscribe token.
+ * Returns the number of subscriptions stopped, or null for an unknown token.
+ */
+export async function unsubscribe(token) {
+  const sub = await StockSubscription.findOne({ token: String(token || '') }, { contact: 1 }).lean();
+  if (!sub) return null;
+  const r = await StockSubscription.updateMany(
+    { $or: [{ _id: sub._id }, { contact: sub.contact, status: 'waiting' }] },
+    { $set: { status: 'unsubscribed' } }
+  );
+  return r.modifiedCount;
+}
+
+async function sendToContact(channel, contact, items, token) {
+  const names = items.map(i => i.name);
+  const unsub = unsubscribeUrl(token);
+  if (channel === 'email') {
+    const subject = items.length === 1
+      ? `Back in stock: ${names[0]} – LWG`
+      : `${items.length} items you wanted are back in stock – LWG`;
+    await sendEmail({
+      to: contact,
+      subject,
+      text: `Good news — back in stock at LWG:\n${items.map(i => `• ${i.name}: ${i.url}`).join('\n')}\n\n` +
+        `Stock is limited, so they may sell out again.\nStop these alerts: ${unsub}`,
+      html: `<div style="font-family:system-ui,Segoe UI,Roboto,Arial"><h3>Good news — back in stock</h3><ul>${
+        items.map(i => `<li><a href="${escapeHtml(i.url)}">${escapeHtml(i.name)}</a></li>`).join('')}</ul>` +
+        `<p>Stock is limited, so they may sell out again.</p>` +
+        `<p style="color:#6b7280;font-size:12px"><a href="${escapeHtml(unsub)}">Stop back-in-stock alerts</a></p></div>`,
+    });
+    return true;
+  }
+  if (WA_TEMPLATE_BACK_IN_STOCK) {
+    const ok = await sendWhatsAppTemplate({
+      to: contact,
+      template: WA_TEMPLATE_BACK_IN_STOCK,
+      components: [{ type: 'body', parameters: [
+        { type: 'text', text: names.join(', ').slice(0, 900) },
+        { type: 'text', text: items[0].url },
+        { type: 'text', text: unsub },
+      ] }],
+    });
+    if (ok) return true;
+  }
+  return sendWhatsAppText({ to: contact, text:
+`🔔 Back in stock at LWG
+${items.map(i => `• ${i.name}\n  ${i.url}`).join('\n')}
+Stop these alerts: ${unsub}` });
+}
+
+/**
+ * Notify everyone whose item is back (live product, stock > 0): one message per contact,
+ * skipping contacts notified within the cooldown. Failed sends stay waiting for the next run.
+ * Returns { contacts, items, deferred }.
+ */
+export async function sendBackInStockNotifications(now = new Date()) {
+  const waiting = await StockSubscription.find({ status: 'waiting' }, { product: 1, sku: 1, channel: 1, contact: 1, token: 1 }).lean();
+  if (!waiting.length) return { contacts: 0, items: 0, deferred: 0 };
+
+  const ids = [...new Set(waiting.map(s => String(s.product)))];
+  const products = new Map(
+    (await Product.find({ _id: { $in: ids } }, PRODUCT_FIELDS).lean()).map(p => [String(p._id), p])
+  );
+  const byContact = new Map();
+  for (const s of waiting) {
+    const p = products.get(String(s.product));
+    if (!p || !isLive(p, now) || unitStock(p, s.sku) <= 0) continue;
+    const key = `${s.channel}|${s.contact}`;
+    if (!byContact.has(key)) byContact.set(key, { channel: s.channel, contact: s.contact, subs: [], items: [] });
+    const group = byContact.get(key);
+    group.subs.push(s);
+    group.items.push({ name: unitName(p, s.sku), url: productUrl(p) });
+  }
+  if (!byContact.size) return { contacts: 0, items: 0, deferred: 0 };
+
+  const recent = new Set(await StockSubscription.distinct('contact', {
+    contact: { $in: [...byContact.values()].map(g => g.contact) },
+    notifiedAt: { $gte: new Date(now.getTime() - COOLDOWN_HOURS * 60 * 60 * 1000) },
+  }));
+
+  let contacts = 0, items = 0, deferred = 0;
+  for (const g of byContact.values()) {
+    if (recent.has(g.contact)) { deferred += g.subs.length; continue; }
+    const subIds = g.subs.map(s => s._id);
+    // Claim before sending so another instance can't send the same batch
+    const claimed = await StockSubscription.updateMany(
+      { _id: { $in: subIds }, status: 'waiting' },
+      { $set: { status: 'notified', notifiedAt: now } }
+    );
+    if (!claimed.modifiedCount) continue;
+    let sent = false;
+    try {
+      sent = await sendToContact(g.channel, g.contact, g.items, g.subs[0].token);
+    } catch (e) {
+      console.error('Back-in-stock notification failed:', e?.message || e);
+    }
+    if (!sent) {
+      await StockSubscription.updateMany({ _id: { $in: subIds } }, { $set: { status: 'waiting', notifiedAt: null } });
+      continue;
+    }
+    contacts++;
+    items += g.subs.length;
+  }
+  return { contacts, items, deferred };
+}
+
+/**
+ * Waiting shoppers per product / variant, most wanted first (to prioritise reorders):
+ * [{ productId, title, slug, sku, variant, stock, waiting, since }]
+ */
+export async function stockDemand({ limit = 200 } = {}) {
+  const rows = await StockSubscription.aggregate([
+    { $match: { status: 'waiting' } },
+    { $group: { _id: { product: '$product', sku: '$sku' }, waiting: { $sum: 1 }, since: { $min: '$createdAt' } } },
+    { $sort: { waiting: -1, since: 1 } },
+    { $limit: limit },
+  ]);
+  const products = new Map(
+    (await Product.find({ _id: { $in: rows.map(r => r._id.product) } }, PRODUCT_FIELDS).lean()).map(p => [String(p._id), p])
+  );
+  return rows.flatMap((r) => {
+    const p = products.get(String(r._id.product));
+    if (!p) return [];
+    const v = r._id.sku && (p.variants || []).find(x => x.sku === r._id.sku);
+    return [{
+      productId: String(p._id), title: p.title, slug: p.slug || '', sku: r._id.sku,
+      variant: v ? variantLabel(v, p.options) : '', stock: unitStock(p, r._id.sku),
+      waiting: r.waiting, since: r.since,
+    }];
+  });
+}
@@ -0,0 +1,80 @@
+// lib/cancellation.js — customers cancelling their own orders from the tracking page
+// An order the shop hasn't started on (New and unpaid, or placed less than CANCEL_WINDOW_MINUTES
+// ago) is cancelled straight away through the normal status rules (@lwg/order-rules/orderStatus.js). Once
+// work has begun the customer can only ask: the request is kept on the order for an admin, who
+// either cancels the order (which closes the request) or declines it with a note.
+import Order from '../models/Order.js';
+
+export const CANCEL_WINDOW_MINUTES = Math.max(0, Number(process.env.CANCEL_WINDOW_MINUTES ?? 60) || 0);
+
+// Statuses a customer may ask to cancel from (nothing has left the shop yet)
+const REQUESTABLE_STATUSES = ['New', 'Processing'];
+
+export class CancellationError extends Error {
+  constructor(message, { status = 409, code = 'NOT_CANCELLABLE', details = {} } = {}) {
+    super(message);
+    this.name = 'CancellationError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * What the customer may do about an order now:
+ * { canCancel, canRequest, windowEndsAt, request } — request is the open / last cancellation request.
+ */
+export function cancelOptions(order, now = new Date()) {
+  const status = order?.status || 'New';
+  const placed = new Date(order?.createdAt || 0).getTime();
+  const windowEndsAt = CANCEL_WINDOW_MINUTES ? new Date(placed + CANCEL_WINDOW_MINUTES * 60 * 1000) : null;
+  const inWindow = !!windowEndsAt && now < windowEndsAt;
+  const canCancel = status === 'New' && (order?.paymentStatus !== 'Paid' || inWindow);
+  const request = order?.cancelRequest?.at ? order.cancelRequest : null;
+  const canRequest = !canCancel && REQUESTABLE_STATUSES.includes(status) && request?.status !== 'open' && request?.status !== 'declined';
+  return {
+    canCancel,
+    canRequest,
+    windowEndsAt: status === 'New' && inWindow ? windowEndsAt : null,
+    request: request && { status: request.status, reason: request.reason || '', note: request.note || '', at: request.at },
+  };
+}
+
+/**
+ * Record a customer's request to cancel an order the shop is already working on.
+ * Returns the updated order (lean). Throws CancellationError 409 NOT_CANCELLABLE | REQUEST_OPEN.
+ */
+export async function requestCancellation(order, reason) {
+  const { canRequest, request } = cancelOptions(order);
+  if (!canRequest) {
+    if (request?.status === 'open') throw new CancellationError('You have already asked to cancel this order', { code: 'REQUEST_OPEN' });
+    throw new CancellationError(`This order is ${order.status}; it can no longer be cancelled`);
+  }
+  const at = new Date();
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: REQUESTABLE_STATUSES }, 'cancelRequest.status': { $nin: ['open', 'declined'] } },
+    {
+      $set: { cancelRequest: { status: 'open', reason, note: '', at, resolvedBy: '', resolvedAt: null } },
+      $push: { history: { field: 'cancellation', from: null, to: 'Requested', actor: 'customer', note: reason, at } },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) throw new CancellationError('This order can no longer be cancelled; please contact us');
+  return updated;
+}
+
+/**
+ * Close an open cancellation request: 'accepted' when the order was cancelled, 'declined' with a note
+ * for the customer. Returns the updated order, or null when there was no open request.
+ */
+export async function resolveCancellation(orderId, outcome, { actor = 'system', note = '' } = {}) {
+  const at = new Date();
+  const update = {
+    $set: {
+      'cancelRequest.status': outcome, 'cancelRequest.note': note, 'cancelRequest.resolvedBy': actor, 'cancelRequest.resolvedAt': at,
+    },
+  };
+  // An accepted request shows up as the Cancelled status entry; a declined one needs its own
+  if (outcome === 'declined') update.$push = { history: { field: 'cancellation', from: 'Requested', to: 'Declined', actor, note, at } };
+  return Order.findOneAndUpdate({ _id: orderId, 'cancelRequest.status': 'open' }, update, { new: true }).lean();
+}
@@ -0,0 +1,77 @@
+// lib/categories.js — category tree helpers (lookup, descendants, breadcrumbs, tree building)
+import Category from '../models/Category.js';
+import { escapeRegex } from './search.js';
+import { publicSales } from './promotions.js';
+
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''));
+
+/** Public shape of a category (lean docs have _id); shoppers only see sales running now */
+export const categoryView = (c, { admin = false } = {}) => ({
+  id: String(c._id),
+  name: c.name,
+  slug: c.slug,
+  description: c.description || '',
+  image: c.image || '',
+  parent: c.parent ? String(c.parent) : null,
+  position: c.position || 0,
+  sales: admin ? (c.sales || []) : publicSales(c.sales),
+});
+
+/** Find a category by id, slug or (case-insensitive) name — names cover legacy ?category=Bags links */
+export async function findCategory(key) {
+  const k = String(key || '').trim();
+  if (!k) return null;
+  if (isObjectId(k)) return Category.findById(k).lean();
+  return (await Category.findOne({ slug: k.toLowerCase() }).lean())
+    || Category.findOne({ name: { $regex: `^${escapeRegex(k)}$`, $options: 'i' } }).lean();
+}
+
+/** The category's id plus the ids of everything below it */
+export async function withDescendantIds(category) {
+  const below = await Category.find({ ancestors: category._id }).distinct('_id');
+  return [category._id, ...below];
+}
+
+/** Root-first trail for a category: [{ id, name, slug }] */
+export async function breadcrumbsFor(categoryId) {
+  if (!categoryId) return [];
+  const cat = await Category.findById(categoryId, { name: 1, slug: 1, ancestors: 1 }).lean();
+  if (!cat) return [];
+  const above = await Category.find({ _id: { $in: cat.ancestors } }, { name: 1, slug: 1 }).lean();
+  const byId = new Map(above.map(a => [String(a._id), a]));
+  return [...cat.ancestors.map(id => byId.get(String(id))).filter(Boolean), cat]
+    .map(c => ({ id: String(c._id), name: c.name, slug: c.slug }));
+}
+
+/**
+ * Nest a flat list into [{ ...category, children:[…] }], ordered by position then name.
+ * `counts` (optional Map id -> number) adds `count`, rolled up from descendants.
+ * `admin` keeps the full sales schedule on each node.
+ */
+export function buildTree(categories, counts = null, { admin = false } = {}) {
+  const nodes = new Map(categories.map(c => [String(c._id), { ...categoryView(c, { admin }), children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent);
+    (parent ? parent.children : roots).push(node);
+  }
+  const order = (a, b) => (a.position - b.position) || a.name.localeCompare(b.name);
+  const finish = (list) => {
+    list.sort(order);
+    for (const n of list) {
+      finish(n.children);
+      if (counts) n.count = (counts.get(n.id) || 0) + n.children.reduce((s, c) => s + c.count, 0);
+    }
+    return list;
+  };
+  return finish(roots);
+}
+
+/** Depth-first flat list of a buildTree() result: [{ ...category, depth }] without `children` */
+export function flattenTree(tree, depth = 0, out = []) {
+  for (const { children, ...node } of tree) {
+    out.push({ ...node, depth });
+    flattenTree(children, depth + 1, out);
+  }
+  return out;
+}
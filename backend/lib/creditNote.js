@@ -0,0 +1,57 @@
+// lib/creditNote.js — credit note PDF for a refund on a return (lib/returns.js)
+// Laid out like the order receipt in server.js; rebuilt on demand from the ReturnRequest,
+// so there is nothing to store.
+import PDFDocument from 'pdfkit';
+import { REASON_LABELS } from './returns.js';
+
+/** PDF Buffer for refund `creditNote` of `ret`; null when the return has no such refund */
+export function buildCreditNotePdf(ret, creditNote) {
+  const refund = (ret.refunds || []).find(r => r.creditNote === creditNote);
+  if (!refund) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 36 });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(20).text('LWG Partners Network', { align: 'left' });
+    doc.moveDown(0.2).fontSize(10).fillColor('#555').text('Creating Impact Globally');
+    doc.moveDown(1).fillColor('#000').fontSize(16).text('Credit Note', { align: 'right' });
+    doc.fontSize(10).text('No: ' + refund.creditNote, { align: 'right' });
+    doc.text('Date: ' + new Date(refund.at || Date.now()).toLocaleString(), { align: 'right' });
+    doc.text('Order: ' + ret.orderRef, { align: 'right' });
+    doc.text('Return: ' + ret.number, { align: 'right' });
+    doc.moveDown();
+
+    doc.fontSize(12).text('Credit To:');
+    doc.fontSize(11).text(ret.customer?.name || 'Customer');
+    if (ret.customer?.phone) doc.text(ret.customer.phone);
+    if (ret.customer?.email) doc.text(ret.customer.email);
+    doc.moveDown();
+
+    doc.fontSize(12).text('Returned items', { underline: true });
+    doc.moveDown(0.5);
+    (ret.items || []).forEach((it) => {
+      doc.fontSize(11).text(`${it.title}  ×  ${it.qty}`, { continued: true }).text(`NLe ${it.unitPrice || 0}`, { align: 'right' });
+      doc.fontSize(9).fillColor('#555').text(REASON_LABELS[it.reason] || it.reason).fillColor('#000');
+    });
+
+    // Earlier refunds on the same return, so a partial credit note adds up on its own
+    const earlier = (ret.refunds || []).filter(r => new Date(r.at) < new Date(refund.at))
+      .reduce((s, r) => s + r.amount, 0);
+    // Anything credited beyond the items is the order's delivery fee (refunded with its last return)
+    const items = (ret.items || []).reduce((s, it) => s + it.qty * (it.unitPrice || 0), 0);
+    const delivery = Math.round((earlier + refund.amount - items) * 100) / 100;
+    doc.moveDown().fontSize(11);
+    if (delivery > 0) doc.text('Delivery refunded', { continued: true }).text(`NLe ${delivery}`, { align: 'right' });
+    if (earlier > 0) doc.text('Refunded before', { continued: true }).text(`NLe ${Math.round(earlier * 100) / 100}`, { align: 'right' });
+    doc.text('Method', { continued: true }).text(refund.method + (refund.reference ? ` (${refund.reference})` : ''), { align: 'right' });
+    doc.fontSize(12).text('Amount credited', { continued: true }).text(`NLe ${refund.amount}`, { align: 'right' });
+    if (refund.note) doc.moveDown(0.5).fontSize(10).fillColor('#555').text(refund.note).fillColor('#000');
+    doc.moveDown(2);
+    doc.fontSize(10).fillColor('#555').text('This credit note reduces the amount due on the order above.');
+    doc.end();
+  });
+}
@@ -0,0 +1,239 @@
+// lib/inventory.js — stock reservation for orders, admin adjustments and the movement ledger
+// Every decrement is a single conditional update (`stock >= qty`), so two checkouts racing
+// for the last unit cannot both succeed. Multi-line orders are compensated on failure.
+// Variant lines decrement the variant's stock and the product total together.
+// `sold` moves with every reservation/release, so it counts units actually sold.
+// Each change is also written to InventoryMovement with its reason, order ref and user,
+// so stock can be explained and reconciled against the ledger.
+import Product from '../models/Product.js';
+import InventoryMovement from '../models/InventoryMovement.js';
+
+export class InventoryError extends Error {
+  constructor(message, { status = 409, code = 'OUT_OF_STOCK', details = {} } = {}) {
+    super(message);
+    this.name = 'InventoryError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const STOCK_PROJECTION = { stock: 1, 'variants.sku': 1, 'variants.stock': 1 };
+
+/** Sum quantities per product/variant so duplicate lines are reserved together */
+function groupLines(items = []) {
+  const byKey = new Map();
+  for (const i of items) {
+    if (!i.productId || !(i.qty > 0)) continue;
+    const key = `${i.productId}|${i.sku || ''}`;
+    const cur = byKey.get(key) || {
+      productId: i.productId,
+      sku: i.sku || '',
+      qty: 0,
+      title: (i.product?.title || '') + (i.variant ? ` (${i.variant})` : '')
+    };
+    cur.qty += i.qty;
+    byKey.set(key, cur);
+  }
+  return [...byKey.values()];
+}
+
+/** Stock currently left for a line (variant stock for variant lines) */
+function available(product, line) {
+  if (!product) return 0;
+  const stock = line.sku
+    ? (product.variants || []).find(v => v.sku === line.sku)?.stock
+    : product.stock;
+  return Math.max(0, stock || 0);
+}
+
+/**
+ * Apply `delta` to a product (or variant + product total) in one update.
+ * `guard` narrows the match (e.g. enough stock left); returns the stock after, or null if nothing matched.
+ */
+async function applyDelta({ productId, sku, delta, sold = 0, guard = {} }) {
+  const inc = sku ? { 'variants.$.stock': delta, stock: delta } : { stock: delta };
+  if (sold) inc.sold = sold;
+  const filter = sku
+    ? { _id: productId, variants: { $elemMatch: { sku, ...guard } } }
+    : { _id: productId, ...guard };
+  const after = await Product.findOneAndUpdate(filter, { $inc: inc }, { new: true, projection: STOCK_PROJECTION }).lean();
+  return after ? available(after, { sku }) : null;
+}
+
+/** Write ledger rows; stock has already moved, so a failed write is logged (reconcile repairs it) */
+async function record(movements) {
+  if (!movements.length) return;
+  try {
+    await InventoryMovement.insertMany(movements);
+  } catch (e) {
+    console.error('Inventory ledger write failed:', e?.message || e);
+  }
+}
+
+/** Undo reservations without touching the ledger (they were never recorded) */
+async function putBack(lines) {
+  for (const l of lines) await applyDelta({ productId: l.productId, sku: l.sku, delta: l.qty, sold: -l.qty });
+}
+
+/**
+ * Decrement stock for every line, or nothing at all.
+ * Records a `sale` movement per line. Throws InventoryError(OUT_OF_STOCK) listing the lines that could not be covered.
+ * `orderRef` may be an async function: it is only called once every line is held (so a refused order
+ * doesn't use up a sequential ref) and its result names the movements. Returns the order ref.
+ */
+export async function reserveStock(items, { orderRef = '', user = 'customer' } = {}) {
+  const lines = groupLines(items);
+  const reserved = [];
+  const short = [];
+
+  for (const line of lines) {
+    const stockAfter = await applyDelta({
+      productId: line.productId, sku: line.sku, delta: -line.qty, sold: line.qty, guard: { stock: { $gte: line.qty } },
+    });
+    if (stockAfter !== null) reserved.push({ ...line, stockAfter });
+    else short.push(line);
+  }
+
+  if (short.length) {
+    await putBack(reserved);
+    const current = await Product.find(
+      { _id: { $in: short.map(l => l.productId) } },
+      { title: 1, ...STOCK_PROJECTION }
+    ).lean();
+    const details = short.map((l) => {
+      const p = current.find(x => String(x._id) === String(l.productId));
+      return { productId: l.productId, sku: l.sku, title: l.title || p?.title || '', requested: l.qty, available: available(p, l) };
+    });
+    const names = details.map(d => `${d.title} (${d.available} left)`).join(', ');
+    throw new InventoryError(`Not enough stock for: ${names}`, { details: { outOfStock: details } });
+  }
+
+  let ref = orderRef;
+  if (typeof orderRef === 'function') {
+    try {
+      ref = await orderRef();
+    } catch (e) {
+      await putBack(reserved);
+      throw e;
+    }
+  }
+  await record(reserved.map(l => ({
+    product: l.productId, sku: l.sku, delta: -l.qty, stockAfter: l.stockAfter, reason: 'sale', orderRef: ref, user,
+  })));
+  return ref;
+}
+
+/**
+ * Put quantities back (order cancelled, payment failed/refunded, returned, or an order that failed to save).
+ * Records one movement per line with the given reason.
+ */
+export async function releaseStock(items, { reason = 'cancellation', orderRef = '', user = 'system', note = '' } = {}) {
+  const lines = groupLines(items);
+  const movements = [];
+  for (const l of lines) {
+    const stockAfter = await applyDelta({ productId: l.productId, sku: l.sku, delta: l.qty, sold: -l.qty });
+    if (stockAfter !== null) {
+      movements.push({ product: l.productId, sku: l.sku, delta: l.qty, stockAfter, reason, orderRef, user, note });
+    }
+  }
+  await record(movements);
+}
+
+/**
+ * Admin stock change for one product / variant.
+ *   delta: relative change (adjustment, return); refused if it would take stock below 0
+ *   count: absolute stock from a stock-take (`stock_count`); the difference is recorded, even when 0
+ * Returns { movement, stock }. Throws InventoryError for unknown products/SKUs or negative results.
+ */
+export async function adjustStock({ productId, sku = '', delta, count, reason = 'adjustment', user = '', note = '' }) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const product = await Product.findById(productId, { title: 1, ...STOCK_PROJECTION }).lean();
+    if (!product) throw new InventoryError('Product not found', { status: 404, code: 'NOT_FOUND' });
+    const hasVariants = (product.variants || []).length > 0;
+    if (hasVariants && !sku) {
+      throw new InventoryError('Choose the variant (SKU) to adjust', { status: 400, code: 'SKU_REQUIRED' });
+    }
+    if (sku && !(product.variants || []).some(v => v.sku === sku)) {
+      throw new InventoryError(`Unknown SKU: ${sku}`, { status: 400, code: 'UNKNOWN_SKU' });
+    }
+
+    const current = available(product, { sku });
+    const change = count !== undefined ? count - current : delta;
+    if (current + change < 0) {
+      throw new InventoryError(`Stock cannot go below 0 (${current} left)`, { status: 409, code: 'NEGATIVE_STOCK', details: { available: current } });
+    }
+    // A count is only valid against the stock it was compared with; retry if an order got in between
+    const guard = count !== undefined ? { stock: current } : (change < 0 ? { stock: { $gte: -change } } : {});
+    const stockAfter = await applyDelta({ productId, sku: sku || '', delta: change, guard });
+    if (stockAfter === null) continue;
+
+    const [movement] = await InventoryMovement.insertMany([{
+      product: productId, sku: sku || '', delta: change, stockAfter, reason, user, note,
+    }]);
+    return { movement, stock: stockAfter };
+  }
+  throw new InventoryError('Stock changed while saving, please try again', { status: 409, code: 'STOCK_CHANGED' });
+}
+
+/** { sku -> stock } for a product ('' when it has no variants) */
+function unitStock(p) {
+  if (!p) return new Map();
+  return (p.variants || []).length
+    ? new Map(p.variants.map(v => [v.sku, Number(v.stock) || 0]))
+    : new Map([['', Number(p.stock) || 0]]);
+}
+
+/**
+ * Ledger rows for a product create/edit that changed stock directly (admin form, import).
+ * `before` is null for a new product; returns the rows written.
+ */
+export async function recordStockEdit(before, after, { user = '', reason = 'adjustment', note = 'Product edit' } = {}) {
+  const was = unitStock(before);
+  const now = unitStock(after);
+  const movements = [];
+  for (const sku of new Set([...was.keys(), ...now.keys()])) {
+    const delta = (now.get(sku) || 0) - (was.get(sku) || 0);
+    if (delta) {
+      movements.push({
+        product: after._id, sku, delta, stockAfter: now.get(sku) || 0,
+        reason: before ? reason : 'initial', user, note: before ? note : 'Opening stock',
+      });
+    }
+  }
+  await record(movements);
+  return movements;
+}
+
+/**
+ * Compare stock with the ledger balance (sum of deltas) per product / variant.
+ * Returns [{ productId, title, sku, stock, ledger, difference }] for mismatches only.
+ * With `fix`, an `initial` movement for the difference brings the ledger in line with the stock
+ * (stock itself is never changed here — use adjustStock for that).
+ */
+export async function reconcileStock({ productId, fix = false, user = '' } = {}) {
+  const match = productId ? { _id: productId } : {};
+  const products = await Product.find(match, { title: 1, ...STOCK_PROJECTION }).lean();
+  const sums = await InventoryMovement.aggregate([
+    { $match: productId ? { product: products[0]?._id ?? null } : {} },
+    { $group: { _id: { product: '$product', sku: '$sku' }, balance: { $sum: '$delta' } } },
+  ]);
+  const balance = new Map(sums.map(s => [`${s._id.product}|${s._id.sku}`, s.balance]));
+
+  const mismatches = [];
+  for (const p of products) {
+    for (const [sku, stock] of unitStock(p)) {
+      const ledger = balance.get(`${p._id}|${sku}`) || 0;
+      if (ledger !== stock) {
+        mismatches.push({ productId: String(p._id), title: p.title, sku, stock, ledger, difference: stock - ledger });
+      }
+    }
+  }
+  if (fix) {
+    await record(mismatches.map(m => ({
+      product: m.productId, sku: m.sku, delta: m.difference, stockAfter: m.stock,
+      reason: 'initial', user, note: 'Reconciled with stock on hand',
+    })));
+  }
+  return mismatches;
+}
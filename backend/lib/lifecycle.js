@@ -0,0 +1,38 @@
+// lib/lifecycle.js — product lifecycle: draft → published → archived, plus an optional
+// publish window (publishAt / unpublishAt) that is checked at query time, so no job is needed.
+// Products saved before the lifecycle existed have no status and count as published.
+
+export const PRODUCT_STATUSES = ['draft', 'published', 'archived'];
+
+/** Mongo filter: products shoppers can browse and buy right now */
+export function visibleFilter(now = new Date()) {
+  return {
+    $and: [
+      { status: { $in: ['published', null] } },
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+    ],
+  };
+}
+
+/** Mongo filter for an admin ?status= (legacy documents without a status are published) */
+export const statusFilter = (status) =>
+  ({ status: status === 'published' ? { $in: ['published', null] } : status });
+
+/** 'draft' | 'scheduled' | 'live' | 'ended' | 'archived' */
+export function lifecycleState(product, now = new Date()) {
+  const status = product?.status || 'published';
+  if (status !== 'published') return status;
+  if (product.publishAt && new Date(product.publishAt) > now) return 'scheduled';
+  if (product.unpublishAt && new Date(product.unpublishAt) <= now) return 'ended';
+  return 'live';
+}
+
+/** On sale right now */
+export const isLive = (product, now) => lifecycleState(product, now) === 'live';
+
+/**
+ * Public pages still resolve for products that were on sale before (archived or ended),
+ * so order history, receipts and reviews keep working; drafts and scheduled ones stay hidden.
+ */
+export const isResolvable = (product, now) => !['draft', 'scheduled'].includes(lifecycleState(product, now));
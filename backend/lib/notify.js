@@ -0,0 +1,85 @@
+// lib/notify.js — outgoing email (nodemailer) and WhatsApp Cloud API messages
+// Shared by server.js (order notifications) and lib/* (stock alerts, summaries).
+import nodemailer from 'nodemailer';
+
+const {
+  SMTP_HOST = 'smtp.gmail.com',
+  SMTP_PORT = '465',
+  SMTP_USER,
+  SMTP_PASS,
+  MAIL_FROM,
+  ADMIN_EMAIL,
+  WHATSAPP_TOKEN,
+  WHATSAPP_PHONE_ID,
+  ADMIN_WA,
+  WA_LANG = 'en_US',
+} = process.env;
+
+/* =========================
+   Email (Gmail App Password)
+   ========================= */
+export const mailer = nodemailer.createTransport({
+  host: SMTP_HOST,
+  port: Number(SMTP_PORT),
+  secure: Number(SMTP_PORT) === 465,
+  auth: { user: SMTP_USER, pass: SMTP_PASS }
+});
+mailer.verify((err) => {
+  if (err) {
+    console.error('SMTP VERIFY FAIL:', (err && err.message) || err);
+    console.error('Hint: 2-Step ON + App Password, or run DisplayUnlockCaptcha');
+  } else {
+    console.log(`SMTP OK (${SMTP_PORT} ${Number(SMTP_PORT) === 465 ? 'SSL' : 'TLS'})`);
+  }
+});
+
+// For anything interpolated into email HTML, customer-written text included
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+export const escapeHtml = (s = '') => String(s ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+
+/* =========================
+   WhatsApp helpers
+   ========================= */
+const WAPI_VERSION = 'v23.0';
+export async function sendWhatsAppText({ to, text }) {
+  if (!to || !WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID) return false;
+  const phoneId = String(WHATSAPP_PHONE_ID).replace(/[^\d]/g, '');
+  const url = `https://graph.facebook.com/${WAPI_VERSION}/${phoneId}/messages`;
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messaging_product: 'whatsapp', to, type: 'text', text: { body: String(text || '').slice(0, 4096) } })
+  });
+  if (!r.ok) { console.error('WhatsApp TEXT error:', r.status, await r.text().catch(()=> '')); return false; }
+  return true;
+}
+export async function sendWhatsAppTemplate({ to, template, lang = WA_LANG, components = [] }) {
+  if (!to || !WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID || !template) return false;
+  const phoneId = String(WHATSAPP_PHONE_ID).replace(/[^\d]/g, '');
+  const url = `https://graph.facebook.com/${WAPI_VERSION}/${phoneId}/messages`;
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messaging_product: 'whatsapp', to, type: 'template', template: { name: template, language: { code: lang }, components } })
+  });
+  if (!r.ok) { console.error('WhatsApp TEMPLATE error:', r.status, await r.text().catch(()=> '')); return false; }
+  return true;
+}
+
+/** Email a customer from MAIL_FROM (attachments as nodemailer takes them); throws when the SMTP server refuses it */
+export async function sendEmail({ to, subject, text, html, attachments }) {
+  await mailer.sendMail({ from: MAIL_FROM || SMTP_USER, to, subject, text, html, attachments });
+}
+
+/**
+ * Email + WhatsApp the shop admins (ADMIN_EMAIL / ADMIN_WA).
+ * Each channel fails on its own; errors are logged, never thrown.
+ */
+export async function notifyAdmin({ subject, text, html }) {
+  try {
+    await sendEmail({ to: ADMIN_EMAIL || SMTP_USER, subject, text, html });
+  } catch (e) { console.error('Admin email failed:', e?.message || e); }
+  try {
+    await sendWhatsAppText({ to: ADMIN_WA, text: `${subject}\n${text}` });
+  } catch (e) { console.error('Admin WA failed:', e?.message || e); }
+}
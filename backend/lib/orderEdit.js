@@ -0,0 +1,175 @@
+// lib/orderEdit.js — admin edits to an open order: lines, delivery zone, address and contact details
+// For customers who call to swap an item or change a quantity, instead of cancelling and reordering.
+// Lines the admin keeps stay at the price they were bought at; added lines are priced from the
+// catalog now (lib/pricing.js). Totals are recomputed from the lines and the zone table, stock only
+// moves by the difference, and one `order` history entry lists what changed.
+import Order from '../models/Order.js';
+import { priceItems, orderSavings, feeFromZone, isKnownZone, PricingError } from './pricing.js';
+import { reserveStock, releaseStock } from './inventory.js';
+import { lineId } from './shipments.js';
+import { watchStock } from './stockAlerts.js';
+
+// Once anything has left the shop the order is what was shipped
+export const EDITABLE_STATUSES = ['New', 'Processing'];
+
+const CONTACT_FIELDS = { name: 'Name', phone: 'Phone', email: 'Email', address: 'Address' };
+
+export class OrderEditError extends Error {
+  constructor(message, { status = 409, code = 'NOT_EDITABLE', details = {} } = {}) {
+    super(message);
+    this.name = 'OrderEditError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const lineName = (l) => (l.product?.title || 'Item') + (l.variant ? ` (${l.variant})` : '');
+
+/** Units per product / variant: Map key → { productId, sku, qty, product, variant } */
+function unitsByProduct(items = []) {
+  const units = new Map();
+  for (const i of items) {
+    if (!i.productId) continue;
+    const key = `${i.productId}|${i.sku || ''}`;
+    const cur = units.get(key) || { productId: i.productId, sku: i.sku || '', qty: 0, product: i.product, variant: i.variant };
+    cur.qty += Number(i.qty) || 0;
+    units.set(key, cur);
+  }
+  return units;
+}
+
+/** Stock to take ({ more }) and put back ({ less }) going from one set of lines to another */
+function stockDiff(before, after) {
+  const a = unitsByProduct(before);
+  const b = unitsByProduct(after);
+  const more = [];
+  const less = [];
+  for (const [key, line] of b) {
+    const d = line.qty - (a.get(key)?.qty || 0);
+    if (d > 0) more.push({ ...line, qty: d });
+  }
+  for (const [key, line] of a) {
+    const d = line.qty - (b.get(key)?.qty || 0);
+    if (d > 0) less.push({ ...line, qty: d });
+  }
+  return { more, less };
+}
+
+/**
+ * New order lines from the admin's list: { lineId, qty } keeps an existing line (at its price) with
+ * a new quantity, { id, sku?, qty } adds a product; existing lines left out are removed.
+ * Returns { items, changes }.
+ */
+async function resolveLines(current, wanted) {
+  const old = new Map((current.items || []).map((it, i) => [lineId(it, i), it]));
+  const added = wanted.filter(l => !l.lineId);
+  const priced = added.length ? await priceItems(added.map(l => ({ id: l.id, sku: l.sku, qty: l.qty }))) : [];
+
+  const changes = [];
+  const kept = new Set();
+  let next = 0;
+  const items = wanted.map((l) => {
+    if (!l.lineId) {
+      const line = priced[next++];
+      changes.push(`Added ${lineName(line)} × ${line.qty}`);
+      return line;
+    }
+    const it = old.get(l.lineId);
+    if (!it) throw new OrderEditError(`Order has no line ${l.lineId}`, { status: 400, code: 'UNKNOWN_LINE', details: { lineId: l.lineId } });
+    if (kept.has(l.lineId)) {
+      throw new OrderEditError(`Line ${l.lineId} is listed twice`, { status: 400, code: 'DUPLICATE_LINE', details: { lineId: l.lineId } });
+    }
+    kept.add(l.lineId);
+    if (it.qty !== l.qty) changes.push(`${lineName(it)}: ${it.qty} → ${l.qty}`);
+    return { ...it, qty: l.qty };
+  });
+  for (const [id, it] of old) if (!kept.has(id)) changes.push(`Removed ${lineName(it)} × ${it.qty}`);
+  return { items, changes };
+}
+
+/**
+ * Edit an order that hasn't shipped. input: { items?, deliveryZone?, name?, phone?, email?, address? }
+ * (values already validated by the route). Fields left out stay as they are.
+ * Returns { order, changes, previousTotal } or null when the order doesn't exist; changes is empty
+ * when nothing differed. The update only applies if nobody changed the order since it was read.
+ * Throws OrderEditError: 409 NOT_EDITABLE | HAS_SHIPMENTS | ORDER_CHANGED, 400 UNKNOWN_LINE | DUPLICATE_LINE;
+ * PricingError (PRODUCT_UNAVAILABLE, INVALID_ZONE) and InventoryError (OUT_OF_STOCK) from the helpers.
+ */
+export async function editOrder(orderId, input = {}, { actor = 'system', note = '' } = {}) {
+  const current = await Order.findById(orderId).lean();
+  if (!current) return null;
+  if (!EDITABLE_STATUSES.includes(current.status || 'New')) {
+    throw new OrderEditError(`Orders can't be edited once they are ${current.status}`, { details: { status: current.status } });
+  }
+
+  const info = current.info || {};
+  const changes = [];
+  const $set = {};
+
+  let items = current.items || [];
+  if (input.items) {
+    if (current.shipments?.length) {
+      throw new OrderEditError('Remove the order’s shipments before changing its items', { code: 'HAS_SHIPMENTS' });
+    }
+    const resolved = await resolveLines(current, input.items);
+    if (resolved.changes.length) {
+      items = resolved.items;
+      changes.push(...resolved.changes);
+      $set.items = items;
+    }
+  }
+
+  let deliveryFee = Number(info.deliveryFee) || 0;
+  if (input.deliveryZone !== undefined && input.deliveryZone !== info.deliveryZone) {
+    if (!isKnownZone(input.deliveryZone)) throw new PricingError('Please select a valid delivery area', { code: 'INVALID_ZONE' });
+    changes.push(`Delivery: ${info.deliveryZone || '—'} → ${input.deliveryZone}`);
+    $set['info.deliveryZone'] = input.deliveryZone;
+  }
+  // Older orders may carry a zone that's no longer in the table; their fee stays as charged
+  const zone = $set['info.deliveryZone'] ?? info.deliveryZone;
+  if (isKnownZone(zone)) deliveryFee = feeFromZone(zone);
+
+  for (const [field, label] of Object.entries(CONTACT_FIELDS)) {
+    if (input[field] === undefined || input[field] === (info[field] || '')) continue;
+    changes.push(`${label} changed`);
+    $set[`info.${field}`] = input[field];
+  }
+  if (!changes.length) return { order: current, changes, previousTotal: info.grandTotal ?? 0 };
+
+  const subtotal = round2(items.reduce((s, l) => s + (Number(l.product?.price) || 0) * (Number(l.qty) || 0), 0));
+  const grandTotal = round2(subtotal + deliveryFee);
+  Object.assign($set, {
+    'info.subtotal': subtotal,
+    'info.savings': orderSavings(items),
+    'info.deliveryFee': deliveryFee,
+    'info.grandTotal': grandTotal,
+  });
+  if (grandTotal !== round2(info.grandTotal)) changes.push(`Total: NLe ${info.grandTotal ?? 0} → NLe ${grandTotal}`);
+
+  // Take any extra stock first so an out-of-stock swap fails before the order changes
+  const { more, less } = current.stockReserved ? stockDiff(current.items, items) : { more: [], less: [] };
+  if (more.length) await reserveStock(more, { orderRef: current.ref || '', user: actor });
+
+  const entry = { field: 'order', from: null, to: 'Edited', actor, note: [...changes, note].filter(Boolean).join('\n'), at: new Date() };
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      revision: current.revision ?? null,
+      status: current.status ?? null,
+      stockReserved: current.stockReserved ?? null,
+      shipments: { $size: current.shipments?.length || 0 },
+    },
+    { $set: { ...$set, editedAt: entry.at }, $inc: { revision: 1 }, $push: { history: entry } },
+    { new: true }
+  ).lean();
+  if (!order) {
+    if (more.length) await releaseStock(more, { orderRef: current.ref || '', user: actor, note: 'Order edit not saved' });
+    throw new OrderEditError('The order was updated by someone else; reload it and try again', { code: 'ORDER_CHANGED' });
+  }
+  if (less.length) await releaseStock(less, { orderRef: order.ref || '', user: actor, note: 'Order edited' });
+  if (more.length || less.length) watchStock([...more, ...less].map(l => l.productId));
+
+  return { order, changes, previousTotal: info.grandTotal ?? 0 };
+}
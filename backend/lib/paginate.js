@@ -0,0 +1,59 @@
+// lib/paginate.js — page-size limits and opaque keyset cursors for list endpoints
+// A cursor records the sort, a fingerprint of the filter and the sort values of the last row,
+// so the next page starts exactly after it even when new rows are inserted in between.
+import crypto from 'node:crypto';
+
+export const MAX_PAGE_SIZE = 100;
+
+/** Clamp ?pageSize= to 1..MAX_PAGE_SIZE */
+export function clampPageSize(value, fallback = 50) {
+  const n = Math.floor(Number(value));
+  return Math.min(MAX_PAGE_SIZE, Math.max(1, Number.isFinite(n) ? n : fallback));
+}
+
+export class CursorError extends Error {
+  constructor(message = 'Invalid or expired cursor') {
+    super(message);
+    this.name = 'CursorError';
+    this.status = 400;
+  }
+}
+
+/** Short fingerprint of a filter, so a cursor can't be replayed against a different query */
+export const queryHash = (filter) =>
+  crypto.createHash('sha1').update(JSON.stringify(filter)).digest('base64url').slice(0, 12);
+
+export const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+/**
+ * Decode a cursor and check it belongs to this sort + filter.
+ * Throws CursorError when it is malformed or was issued for another query.
+ */
+export function decodeCursor(raw, { sort, hash }) {
+  let c;
+  try { c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8')); } catch { c = null; }
+  if (!c || c.s !== sort || c.h !== hash) throw new CursorError();
+  return c;
+}
+
+/** Sort values of a row, in `spec` order ([[field, 1|-1], ...]) */
+export const sortValues = (spec, row) => spec.map(([f]) => (row?.[f] ?? null));
+
+/**
+ * Filter for rows strictly after `values` in `spec` order. `spec` must end with a unique
+ * field (_id) so ties are broken. MongoDB sorts null/missing lowest, which is handled here.
+ */
+export function afterCursor(spec, values) {
+  const or = [];
+  spec.forEach(([field, dir], i) => {
+    const v = values[i] ?? null;
+    let after;
+    if (dir === 1) after = v === null ? { [field]: { $ne: null } } : { [field]: { $gt: v } };
+    else if (v === null) return; // nothing sorts below null in descending order
+    else after = { $or: [{ [field]: { $lt: v } }, { [field]: null }] };
+
+    const equal = spec.slice(0, i).map(([f], j) => ({ [f]: values[j] ?? null }));
+    or.push(equal.length ? { $and: [...equal, after] } : after);
+  });
+  return or.length ? { $or: or } : { _id: null };
+}
@@ -0,0 +1,183 @@
+// lib/pricing.js — server-side order pricing (client prices are never trusted)
+import Product from '../models/Product.js';
+import { isLive } from './lifecycle.js';
+import { saleContext, effectivePrice } from './promotions.js';
+
+/* =========================
+   Delivery zones (NLe)
+   ========================= */
+export const DELIVERY_ZONES = {
+  'Pick-up (No delivery)': 0,
+  'Freetown (Urban)': 25,
+  'Greater Freetown': 40,
+  'Provinces (Major towns)': 80,
+  'Provinces (Remote)': 120
+};
+export const feeFromZone = (z) => DELIVERY_ZONES[z] ?? 0;
+export const isKnownZone = (z) => Object.prototype.hasOwnProperty.call(DELIVERY_ZONES, z);
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''));
+
+/**
+ * Error carrying an HTTP status, a machine-readable code and extra response fields.
+ * Route handlers spread `details` into the JSON body.
+ */
+export class PricingError extends Error {
+  constructor(message, { status = 400, code = 'INVALID_ORDER', details = {} } = {}) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** Plain { axis: value } object from a variant (Map on documents, object on lean reads) */
+const variantOptions = (v) => (v?.options instanceof Map ? Object.fromEntries(v.options) : (v?.options || {}));
+
+/**
+ * Human-readable variant name, ordered by the product's option axes: "M / Black"
+ */
+export function variantLabel(variant, axes = []) {
+  const opts = variantOptions(variant);
+  const names = axes.length ? axes.map(a => a.name).filter(n => n in opts) : Object.keys(opts);
+  return names.map(n => opts[n]).join(' / ') || variant?.sku || '';
+}
+
+/** Whether a product may currently be sold (published and inside its publish window) */
+export function isPurchasable(product) {
+  return !!product && isLive(product);
+}
+
+/**
+ * Resolve every line against the Product collection (by _id or slug).
+ * Products with variants need a `sku` per line; the variant price/image win over the product's.
+ * Prices are the effective ones at this moment (sales applied), so the order keeps them afterwards.
+ * Returns lines shaped for storage:
+ *   { id, productId, sku?, variant?, sale?, qty, product:{ title, price, compareAtPrice?, image } }
+ * Throws PricingError(PRODUCT_UNAVAILABLE) listing unknown / unpublished lines and unknown SKUs.
+ */
+export async function priceItems(items = []) {
+  const keys = [...new Set(items.map(i => String(i.id || '').trim()).filter(Boolean))];
+  const ids = keys.filter(isObjectId);
+  const slugs = keys.map(k => k.toLowerCase());
+
+  const found = keys.length
+    ? await Product.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }] }).lean()
+    : [];
+  const sales = await saleContext(found);
+  const byKey = new Map();
+  for (const p of found) {
+    byKey.set(String(p._id), p);
+    if (p.slug) byKey.set(p.slug, p);
+  }
+
+  const unavailable = [];
+  const lines = items.map((i) => {
+    const key = String(i.id || '').trim();
+    const p = byKey.get(key) || byKey.get(key.toLowerCase());
+    const variants = Array.isArray(p?.variants) ? p.variants : [];
+    const variant = variants.length ? variants.find(v => v.sku === i.sku) : null;
+    if (!isPurchasable(p) || (variants.length && !variant)) {
+      unavailable.push({ id: key, sku: i.sku || '', title: i.product?.title || p?.title || '' });
+      return null;
+    }
+    const cover = p.image || (Array.isArray(p.images) ? p.images[0] : '') || '';
+    const effective = effectivePrice(p, sales, variant);
+    return {
+      id: key,
+      productId: String(p._id),
+      ...(variant ? { sku: variant.sku, variant: variantLabel(variant, p.options) } : {}),
+      ...(effective.sale ? { sale: effective.sale.name } : {}),
+      qty: i.qty,
+      product: {
+        title: p.title,
+        price: effective.price,
+        ...(effective.compareAtPrice ? { compareAtPrice: effective.compareAtPrice } : {}),
+        image: (variant && variant.image) || cover
+      }
+    };
+  });
+
+  if (unavailable.length) {
+    const names = unavailable.map(u => u.title || u.id).join(', ');
+    throw new PricingError(`Some items are no longer available: ${names}`, {
+      status: 409,
+      code: 'PRODUCT_UNAVAILABLE',
+      details: { unavailable }
+    });
+  }
+  return lines;
+}
+
+/** What the customer saved against compare-at prices across all lines */
+export const orderSavings = (lines = []) => round2(lines.reduce((s, l) => {
+  const was = Number(l.product?.compareAtPrice) || 0;
+  return was > l.product.price ? s + (was - l.product.price) * l.qty : s;
+}, 0));
+
+/**
+ * Price a whole order from the catalog + zone table.
+ * Returns { items, subtotal, savings, deliveryFee, grandTotal }
+ */
+export async function priceOrder({ items, deliveryZone }) {
+  if (!isKnownZone(deliveryZone)) {
+    throw new PricingError('Please select a valid delivery area', { code: 'INVALID_ZONE' });
+  }
+  const lines = await priceItems(items);
+  const subtotal = round2(lines.reduce((s, l) => s + l.product.price * l.qty, 0));
+  const deliveryFee = feeFromZone(deliveryZone);
+  return { items: lines, subtotal, savings: orderSavings(lines), deliveryFee, grandTotal: round2(subtotal + deliveryFee) };
+}
+
+/**
+ * Compare what the browser showed the customer with the server's pricing.
+ * Only values the client actually sent are compared.
+ * Throws PricingError(PRICE_CHANGED, 409) with per-line and total differences.
+ */
+export function assertClientTotals(client, priced) {
+  const same = (a, b) => Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+  const has = (v) => v !== undefined && v !== null && Number.isFinite(Number(v));
+
+  const lines = [];
+  (client.items || []).forEach((i, idx) => {
+    const server = priced.items[idx];
+    if (server && has(i.product?.price) && !same(i.product.price, server.product.price)) {
+      lines.push({
+        id: i.id,
+        sku: server.sku || '',
+        title: server.product.title + (server.variant ? ` (${server.variant})` : ''),
+        clientPrice: Number(i.product.price),
+        price: server.product.price
+      });
+    }
+  });
+
+  const totals = [];
+  const check = (field, value) => {
+    if (has(value) && !same(value, priced[field])) totals.push({ field, client: Number(value), server: priced[field] });
+  };
+  check('subtotal', client.info?.subtotal ?? client.total);
+  check('deliveryFee', client.info?.deliveryFee);
+  check('grandTotal', client.info?.grandTotal);
+
+  if (lines.length || totals.length) {
+    throw new PricingError('Prices have changed since you added these items. Please review your order.', {
+      status: 409,
+      code: 'PRICE_CHANGED',
+      details: {
+        changes: { lines, totals },
+        pricing: {
+          items: priced.items.map(l => ({
+            id: l.id, productId: l.productId, sku: l.sku || '', variant: l.variant || '',
+            title: l.product.title, price: l.product.price, compareAtPrice: l.product.compareAtPrice ?? null, qty: l.qty
+          })),
+          subtotal: priced.subtotal,
+          deliveryFee: priced.deliveryFee,
+          grandTotal: priced.grandTotal
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,131 @@
+// lib/promotions.js — sale pricing: compare-at ("was") prices and scheduled sale windows on
+// products and categories. Windows are checked at request time, so a weekend sale starts and
+// ends on its own; the stored `price` is always the regular price.
+import { z } from 'zod';
+import Category from '../models/Category.js';
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/** A window is active from startsAt (inclusive) until endsAt (exclusive) */
+export const isActiveWindow = (w, now = new Date()) =>
+  !!w && new Date(w.startsAt) <= now && new Date(w.endsAt) > now;
+
+/** Price after one window's discount (never below 0) */
+function discounted(base, w) {
+  if (w.price != null) return round2(w.price);
+  if (w.percentOff != null) return round2(Math.max(0, base * (1 - w.percentOff / 100)));
+  if (w.amountOff != null) return round2(Math.max(0, base - w.amountOff));
+  return base;
+}
+
+/**
+ * Category sales that apply to the given products right now.
+ * A category's windows also apply to everything below it.
+ * Returns { now, byCategory: Map(categoryId -> [window & { scope }]) }
+ */
+export async function saleContext(products = [], now = new Date()) {
+  const byCategory = new Map();
+  const ids = [...new Set(products.map(p => p?.categoryId && String(p.categoryId)).filter(Boolean))];
+  if (!ids.length) return { now, byCategory };
+
+  const cats = await Category.find({ _id: { $in: ids } }, { ancestors: 1 }).lean();
+  const chains = new Map(cats.map(c => [String(c._id), [c._id, ...(c.ancestors || [])].map(String)]));
+  const onSale = await Category.find(
+    { _id: { $in: [...new Set([...chains.values()].flat())] }, sales: { $elemMatch: { startsAt: { $lte: now }, endsAt: { $gt: now } } } },
+    { name: 1, sales: 1 }
+  ).lean();
+  const active = new Map(onSale.map(c => [
+    String(c._id),
+    c.sales.filter(w => isActiveWindow(w, now)).map(w => ({ ...w, scope: c.name })),
+  ]));
+  for (const [id, chain] of chains) byCategory.set(id, chain.flatMap(cid => active.get(cid) || []));
+  return { now, byCategory };
+}
+
+/**
+ * Effective price of a product (or one of its variants) under a saleContext.
+ * The best active window wins (lowest price). `compareAtPrice` is the "was" price to strike
+ * through: the regular price during a sale (or the product's compareAtPrice if higher),
+ * otherwise the product's compareAtPrice when it is above the price.
+ * Returns { price, compareAtPrice, saving, percentOff, sale:{ name, endsAt }|null }
+ */
+export function effectivePrice(product, ctx = { now: new Date(), byCategory: new Map() }, variant = null) {
+  const base = round2(variant && variant.price != null ? variant.price : product.price);
+  const windows = [
+    ...(product.sales || []).filter(w => isActiveWindow(w, ctx.now)),
+    ...(ctx.byCategory.get(String(product.categoryId || '')) || []),
+  ];
+
+  let best = null;
+  for (const w of windows) {
+    const price = discounted(base, w);
+    if (price < base && (!best || price < best.price)) best = { price, w };
+  }
+
+  const price = best ? best.price : base;
+  const listed = round2(product.compareAtPrice);
+  const compareAtPrice = best ? Math.max(base, listed) : (listed > price ? listed : null);
+  const saving = compareAtPrice ? round2(compareAtPrice - price) : 0;
+  return {
+    price,
+    compareAtPrice,
+    saving,
+    percentOff: compareAtPrice ? Math.round((saving / compareAtPrice) * 100) : 0,
+    sale: best ? { name: best.w.name || (best.w.scope ? `${best.w.scope} sale` : 'Sale'), endsAt: best.w.endsAt } : null,
+  };
+}
+
+/**
+ * Add `effective` pricing to lean products (and each of their variants) for API responses.
+ * Shoppers don't get the raw `sales` schedule, so upcoming promotions stay private.
+ */
+export async function withEffectivePrices(products, { admin = false, now = new Date() } = {}) {
+  const ctx = await saleContext(products, now);
+  return products.map((p) => {
+    const out = { ...p, effective: effectivePrice(p, ctx) };
+    if (Array.isArray(p.variants) && p.variants.length) {
+      out.variants = p.variants.map(v => ({ ...v, effective: effectivePrice(p, ctx, v) }));
+    }
+    if (!admin) delete out.sales;
+    return out;
+  });
+}
+
+/** Category sales as shoppers see them: only the ones running now */
+export const publicSales = (sales = [], now = new Date()) =>
+  sales.filter(w => isActiveWindow(w, now)).map(w => ({
+    name: w.name || '', percentOff: w.percentOff, amountOff: w.amountOff, endsAt: w.endsAt,
+  }));
+
+/* =========================
+   Zod input (admin forms)
+   ========================= */
+const optionalNumber = (schema) => z.preprocess((v) => (v === '' || v === null ? undefined : v), schema.optional());
+
+/**
+ * Validation for one sale window. Categories can't use a fixed `price`
+ * (their products have different prices), so pass { fixedPrice:false } there.
+ */
+export function saleWindowSchema({ fixedPrice = true } = {}) {
+  return z.object({
+    name: z.string().trim().max(80).optional().default(''),
+    percentOff: optionalNumber(z.coerce.number({ invalid_type_error: 'Percent off must be a number' })
+      .gt(0, 'Percent off must be above 0').max(100, 'Percent off cannot exceed 100')),
+    amountOff: optionalNumber(z.coerce.number({ invalid_type_error: 'Amount off must be a number' })
+      .positive('Amount off must be above 0')),
+    price: optionalNumber(z.coerce.number({ invalid_type_error: 'Sale price must be a number' })
+      .nonnegative('Sale price cannot be negative')),
+    startsAt: z.coerce.date({ errorMap: () => ({ message: 'Enter a valid start date' }) }),
+    endsAt: z.coerce.date({ errorMap: () => ({ message: 'Enter a valid end date' }) }),
+  }).superRefine((w, ctx) => {
+    const kinds = ['percentOff', 'amountOff', 'price'].filter(k => w[k] !== undefined);
+    if (!fixedPrice && w.price !== undefined) {
+      ctx.addIssue({ code: 'custom', path: ['price'], message: 'Category sales use percent or amount off' });
+    } else if (kinds.length !== 1) {
+      ctx.addIssue({ code: 'custom', path: ['percentOff'], message: 'Set exactly one of percent off, amount off or sale price' });
+    }
+    if (w.endsAt <= w.startsAt) {
+      ctx.addIssue({ code: 'custom', path: ['endsAt'], message: 'The sale must end after it starts' });
+    }
+  });
+}
@@ -0,0 +1,108 @@
+// lib/recommendations.js — "frequently bought together" scores mined from orders,
+// with same-category / shared-tag fallbacks for products that have little order history.
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Recommendation from '../models/Recommendation.js';
+import { visibleFilter } from './lifecycle.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const STORED_PER_PRODUCT = 20;
+
+// Fields the storefront needs to draw a product card
+const CARD_FIELDS = 'title price compareAtPrice sales image images imageAssets slug stock category categoryId tags ratingAverage ratingCount variants';
+
+/**
+ * Recount co-purchases for every product and replace the stored lists.
+ * An order counts once per pair of distinct products in it; older orders weigh less
+ * (the weight halves every `halfLifeDays`). Cancelled and failed orders are ignored.
+ * Returns { products, pairs }.
+ */
+export async function rebuildRecommendations({ windowDays = 365, halfLifeDays = 90 } = {}) {
+  const startedAt = new Date();
+  const rows = await Order.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: new Date(startedAt - windowDays * DAY) },
+        status: { $ne: 'Cancelled' },
+        paymentStatus: { $ne: 'Failed' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        weight: { $pow: [0.5, { $divide: [{ $subtract: [startedAt, '$createdAt'] }, halfLifeDays * DAY] }] },
+        // Distinct product ids in the order (variant lines share their product's id)
+        ids: {
+          $setDifference: [
+            {
+              $setUnion: [{
+                $map: {
+                  input: { $ifNull: ['$items', []] },
+                  in: { $convert: { input: { $ifNull: ['$$this.productId', '$$this.id'] }, to: 'objectId', onError: null, onNull: null } },
+                },
+              }],
+            },
+            [null],
+          ],
+        },
+      },
+    },
+    { $match: { 'ids.1': { $exists: true } } },
+    { $project: { weight: 1, a: '$ids', b: '$ids' } },
+    { $unwind: '$a' },
+    { $unwind: '$b' },
+    { $match: { $expr: { $ne: ['$a', '$b'] } } },
+    { $group: { _id: { a: '$a', b: '$b' }, orders: { $sum: 1 }, score: { $sum: '$weight' } } },
+    { $sort: { score: -1, orders: -1 } },
+    { $group: { _id: '$_id.a', related: { $push: { product: '$_id.b', orders: '$orders', score: '$score' } } } },
+    { $project: { related: { $slice: ['$related', STORED_PER_PRODUCT] } } },
+  ]).allowDiskUse(true);
+
+  let pairs = 0;
+  const ops = rows.map((r) => {
+    pairs += r.related.length;
+    const related = r.related.map(x => ({ ...x, score: Math.round(x.score * 1000) / 1000 }));
+    return { updateOne: { filter: { product: r._id }, update: { $set: { related, computedAt: startedAt } }, upsert: true } };
+  });
+  if (ops.length) await Recommendation.bulkWrite(ops, { ordered: false });
+  // Products that no longer have co-purchases in the window
+  await Recommendation.deleteMany({ computedAt: { $lt: startedAt } });
+  return { products: rows.length, pairs };
+}
+
+/**
+ * Up to `limit` in-stock, published products to show next to `product`, each tagged with a `reason`:
+ * 'bought_together' (precomputed scores), then 'same_category', then 'similar_tags'.
+ */
+export async function relatedProducts(product, { limit = 8 } = {}) {
+  const seen = new Set([String(product._id)]);
+  const out = [];
+  const take = (rows, reason) => {
+    for (const p of rows) {
+      if (out.length >= limit) return;
+      if (seen.has(String(p._id))) continue;
+      seen.add(String(p._id));
+      out.push({ ...p, reason });
+    }
+  };
+  const live = visibleFilter();
+  const others = () => ({ _id: { $nin: [...seen] }, stock: { $gt: 0 }, ...live });
+
+  const rec = await Recommendation.findOne({ product: product._id }).lean();
+  if (rec?.related?.length) {
+    const ids = rec.related.map(r => r.product);
+    const rows = await Product.find({ _id: { $in: ids }, stock: { $gt: 0 }, ...live }).select(CARD_FIELDS).lean();
+    const byId = new Map(rows.map(p => [String(p._id), p]));
+    take(ids.map(id => byId.get(String(id))).filter(Boolean), 'bought_together');
+  }
+
+  if (out.length < limit && (product.categoryId || product.category)) {
+    const sameCategory = product.categoryId ? { categoryId: product.categoryId } : { category: product.category };
+    take(await Product.find({ ...sameCategory, ...others() }).sort({ sold: -1, _id: -1 }).limit(limit).select(CARD_FIELDS).lean(), 'same_category');
+  }
+
+  if (out.length < limit && product.tags?.length) {
+    take(await Product.find({ tags: { $in: product.tags }, ...others() }).sort({ sold: -1, _id: -1 }).limit(limit).select(CARD_FIELDS).lean(), 'similar_tags');
+  }
+  return out;
+}
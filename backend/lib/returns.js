@@ -0,0 +1,342 @@
+// lib/returns.js — return requests (RMA): opening, approval, receiving stock back and refunds
+// Customers open a return for lines they received, within RETURN_WINDOW_DAYS of delivery, through
+// the same ref + phone/email check as tracking. Admins approve or reject it, mark the parcel
+// received (the units go back into stock as `return` movements) and record one or more refunds.
+// Every refund gets a credit note number and adds to order.info.refunded, so info.netTotal is
+// what the customer finally paid; refunds can never add up to more than the order total.
+import { applyTransition } from '@lwg/order-rules/orderStatus.js';
+import Order from '../models/Order.js';
+import Counter from '../models/Counter.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { orderLines } from './shipments.js';
+import { releaseStock } from './inventory.js';
+import { watchStock } from './stockAlerts.js';
+import { sendEmail, escapeHtml } from './notify.js';
+
+export const RETURN_WINDOW_DAYS = Math.max(0, Number(process.env.RETURN_WINDOW_DAYS ?? 14) || 0);
+
+// Order states whose goods have (at least partly) left the shop
+const RETURNABLE_STATUSES = ['Partially Shipped', 'Shipped', 'Delivered', 'Completed'];
+
+export const REASON_LABELS = {
+  damaged: 'Arrived damaged',
+  wrong_item: 'Wrong item sent',
+  not_as_described: 'Not as described',
+  wrong_size: 'Wrong size / fit',
+  changed_mind: 'Changed my mind',
+  other: 'Other',
+};
+
+export class ReturnError extends Error {
+  constructor(message, { status = 409, code = 'INVALID_RETURN', details = {} } = {}) {
+    super(message);
+    this.name = 'ReturnError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const roundMoney = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/* ----------------------------- Numbers ----------------------------- */
+async function nextSeq(id) {
+  const { seq } = await Counter.findOneAndUpdate({ _id: id }, { $inc: { seq: 1 } }, { upsert: true, new: true }).lean();
+  return seq;
+}
+
+/** RMA-YYMM-NNNN (UTC month, per-month sequence) */
+async function nextReturnNumber(date = new Date()) {
+  const yymm = String(date.getUTCFullYear()).slice(2) + String(date.getUTCMonth() + 1).padStart(2, '0');
+  return `RMA-${yymm}-${String(await nextSeq(`return-${yymm}`)).padStart(4, '0')}`;
+}
+
+/** CN-YYYY-NNNNN (per-year sequence, as credit notes are usually numbered) */
+async function nextCreditNoteNumber(date = new Date()) {
+  const yyyy = date.getUTCFullYear();
+  return `CN-${yyyy}-${String(await nextSeq(`credit-note-${yyyy}`)).padStart(5, '0')}`;
+}
+
+/* ----------------------------- Eligibility ----------------------------- */
+/**
+ * When the return window closes: RETURN_WINDOW_DAYS after the last parcel was delivered
+ * (or the order was marked Delivered / Completed). null while nothing has been delivered yet.
+ */
+export function returnWindowEnd(order) {
+  let delivered = (order?.shipments || []).map(s => s.deliveredAt).filter(Boolean).map(d => new Date(d).getTime());
+  if (!delivered.length) {
+    const h = (order?.history || []).find(x => x.field === 'status' && ['Delivered', 'Completed'].includes(x.to));
+    if (h) delivered = [new Date(h.at).getTime()];
+    else if (['Delivered', 'Completed'].includes(order?.status)) delivered = [new Date(order.createdAt).getTime()];
+  }
+  if (!delivered.length) return null;
+  return new Date(Math.max(...delivered) + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Order lines with what can still be returned: units shipped (everything, for orders without
+ * shipments) minus units in returns that weren't rejected.
+ * [{ lineId, productId, sku, title, unitPrice, qty, returned, returnable }]
+ */
+export function returnableLines(order, returns = []) {
+  const held = new Map();
+  for (const r of returns) {
+    if (r.status === 'rejected') continue;
+    for (const it of r.items || []) held.set(it.lineId, (held.get(it.lineId) || 0) + it.qty);
+  }
+  const hasShipments = !!order?.shipments?.length;
+  return orderLines(order).map((l, i) => {
+    const item = order.items[i];
+    const qty = hasShipments ? l.dispatched : l.qty;
+    const returned = held.get(l.lineId) || 0;
+    return {
+      lineId: l.lineId, productId: String(item.productId || item.id || ''), sku: l.sku, title: l.title,
+      unitPrice: Number(item.product?.price) || 0, qty, returned, returnable: Math.max(0, qty - returned),
+    };
+  });
+}
+
+/** { eligible, code?, message?, windowEndsAt, lines } — whether the customer may open a return now */
+export function returnEligibility(order, returns = [], now = new Date()) {
+  const windowEndsAt = returnWindowEnd(order);
+  const lines = returnableLines(order, returns);
+  const no = (code, message) => ({ eligible: false, code, message, windowEndsAt, lines });
+  if (!RETURNABLE_STATUSES.includes(order.status)) return no('NOT_SHIPPED', 'Returns can be requested once your order has been shipped');
+  if (windowEndsAt && now > windowEndsAt) {
+    return no('RETURN_WINDOW_CLOSED', `Returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery`);
+  }
+  if (!lines.some(l => l.returnable > 0)) return no('NOTHING_TO_RETURN', 'Every item on this order is already in a return');
+  return { eligible: true, windowEndsAt, lines };
+}
+
+/* ----------------------------- Workflow ----------------------------- */
+/**
+ * Open a return for an order the customer identified (route checks ref + phone/email).
+ * items: [{ lineId, qty, reason }]. Returns the ReturnRequest.
+ * Throws ReturnError: 409 NOT_SHIPPED | RETURN_WINDOW_CLOSED | NOTHING_TO_RETURN | OVER_RETURNED | RETURN_CHANGED,
+ * 400 UNKNOWN_LINE
+ */
+export async function openReturn({ order, items, comment = '', photos = [] }) {
+  const revision = order.returnsRevision ?? null; // read before the returns, see the claim below
+  const returns = await ReturnRequest.find({ order: order._id }, { items: 1, status: 1 }).lean();
+  const check = returnEligibility(order, returns);
+  if (!check.eligible) throw new ReturnError(check.message, { code: check.code });
+
+  const lines = new Map(check.lines.map(l => [l.lineId, l]));
+  const wanted = new Map();
+  for (const it of items) {
+    const line = lines.get(it.lineId);
+    if (!line) throw new ReturnError(`Order has no line ${it.lineId}`, { status: 400, code: 'UNKNOWN_LINE', details: { lineId: it.lineId } });
+    const cur = wanted.get(it.lineId) || { ...line, qty: 0, reason: it.reason };
+    cur.qty += it.qty;
+    if (cur.qty > line.returnable) {
+      throw new ReturnError(`Only ${line.returnable} × ${line.title} can be returned`,
+        { code: 'OVER_RETURNED', details: { lineId: it.lineId, returnable: line.returnable } });
+    }
+    wanted.set(it.lineId, cur);
+  }
+
+  const ret = await ReturnRequest.create({
+    number: await nextReturnNumber(),
+    order: order._id,
+    orderRef: order.ref,
+    customer: { name: order.info?.name || '', phone: order.info?.phone || '', email: order.info?.email || '' },
+    items: [...wanted.values()].map(l => ({
+      lineId: l.lineId, productId: l.productId, sku: l.sku, title: l.title, qty: l.qty, unitPrice: l.unitPrice, reason: l.reason,
+    })),
+    comment,
+    photos,
+    history: [{ from: null, to: 'requested', actor: 'customer', note: comment, at: new Date() }],
+  });
+  // Two requests racing for the same units: only the one that bumps the order's revision it read keeps its return
+  const claimed = await Order.updateOne({ _id: order._id, returnsRevision: revision }, { $inc: { returnsRevision: 1 } });
+  if (!claimed.modifiedCount) {
+    await ReturnRequest.deleteOne({ _id: ret._id });
+    throw new ReturnError('Another return was just opened for this order; please check it and try again', { code: 'RETURN_CHANGED' });
+  }
+  return ret;
+}
+
+/**
+ * Move a return between states; like order transitions, the update only applies if nobody moved
+ * it since it was read. Returns the updated return (lean) or null when it doesn't exist.
+ * Throws ReturnError 409 INVALID_TRANSITION | RETURN_CHANGED.
+ */
+async function moveReturn(id, from, to, { actor = 'system', note = '' } = {}) {
+  const current = await ReturnRequest.findById(id, { status: 1 }).lean();
+  if (!current) return null;
+  if (!from.includes(current.status)) {
+    throw new ReturnError(`Return is ${current.status}; it can't be ${to}`,
+      { code: 'INVALID_TRANSITION', details: { from: current.status, to } });
+  }
+  const ret = await ReturnRequest.findOneAndUpdate(
+    { _id: id, status: current.status },
+    { $set: { status: to }, $push: { history: { from: current.status, to, actor, note: String(note || ''), at: new Date() } } },
+    { new: true }
+  ).lean();
+  if (!ret) throw new ReturnError('The return was updated by someone else; reload it and try again', { code: 'RETURN_CHANGED' });
+  return ret;
+}
+
+export const approveReturn = (id, opts) => moveReturn(id, ['requested'], 'approved', opts);
+export const rejectReturn = (id, opts) => moveReturn(id, ['requested', 'approved'], 'rejected', opts);
+
+/**
+ * Mark an approved return as received and put its units back into stock.
+ * restock: { [lineId]: units } for lines that can't be resold in full (default: every unit).
+ */
+export async function receiveReturn(id, { restock = {}, actor = 'system', note = '' } = {}) {
+  const ret = await moveReturn(id, ['approved'], 'received', { actor, note });
+  if (!ret) return null;
+
+  const items = ret.items.map(it => ({
+    ...it,
+    restocked: Math.min(it.qty, Math.max(0, Math.floor(restock[it.lineId] ?? it.qty))),
+  }));
+  const lines = items.filter(it => it.restocked > 0 && it.productId)
+    .map(it => ({ productId: it.productId, sku: it.sku || '', qty: it.restocked, product: { title: it.title } }));
+  try {
+    await releaseStock(lines, { reason: 'return', orderRef: ret.orderRef, user: actor, note: ret.number });
+  } catch (e) {
+    await ReturnRequest.updateOne({ _id: id }, { $set: { status: 'approved' }, $pop: { history: 1 } });
+    throw e;
+  }
+  watchStock(lines.map(l => l.productId)); // clears low-stock alerts the return fixed
+  return ReturnRequest.findByIdAndUpdate(id, { $set: { items } }, { new: true }).lean();
+}
+
+/** Value of the returned units at the price the customer paid */
+export const returnValue = (ret) => roundMoney((ret.items || []).reduce((s, it) => s + it.qty * (it.unitPrice || 0), 0));
+
+/**
+ * What is left to refund on a return: its units at the price paid, plus the order's delivery fee once
+ * every unit of the order has come back (received), never more than is left of the order total.
+ * The order-wide cap in refundReturn keeps the fee from being paid on two returns.
+ * Returns { value, delivery, refundable }.
+ */
+export async function refundableAmount(ret, order = null) {
+  order ||= await Order.findById(ret.order, { info: 1, items: 1 }).lean();
+  const value = returnValue(ret);
+  const fee = Number(order?.info?.deliveryFee) || 0;
+  let delivery = 0;
+  if (fee > 0) {
+    const back = await ReturnRequest.find({ order: ret.order, status: { $in: ['received', 'refunded'] } }, { items: 1, status: 1 }).lean();
+    // Without shipments every ordered unit counts, not just the dispatched ones
+    if (returnableLines({ ...order, shipments: [] }, back).every(l => l.returnable === 0)) delivery = fee;
+  }
+  const orderLeft = (order?.info?.grandTotal ?? 0) - (order?.info?.refunded || 0);
+  const refundable = Math.max(0, Math.min(value + delivery - (ret.refundedTotal || 0), orderLeft));
+  return { value, delivery, refundable: roundMoney(refundable) };
+}
+
+/**
+ * Record a (possibly partial) refund on a received return and issue its credit note. The last return
+ * of an order may also refund its delivery fee (refundableAmount); once the order has been refunded in
+ * full its payment status becomes Refunded.
+ * Returns { ret, refund, order } or null when the return doesn't exist.
+ * Throws ReturnError: 409 NOT_RECEIVED | REFUND_TOO_LARGE | REFUND_EXCEEDS_ORDER | RETURN_CHANGED
+ */
+export async function refundReturn(id, { amount, method, reference = '', note = '' }, { actor = 'system' } = {}) {
+  const ret = await ReturnRequest.findById(id).lean();
+  if (!ret) return null;
+  if (!['received', 'refunded'].includes(ret.status)) {
+    throw new ReturnError('Refunds are recorded once the returned items have been received', { code: 'NOT_RECEIVED' });
+  }
+  amount = roundMoney(amount);
+  const { refundable } = await refundableAmount(ret);
+  if (amount > refundable) {
+    throw new ReturnError(`At most NLe ${refundable} is left to refund on this return`, { code: 'REFUND_TOO_LARGE', details: { refundable } });
+  }
+
+  // Refunds across all returns stay within what the order cost (checked and applied in one update)
+  const addToOrder = (delta) => Order.findOneAndUpdate(
+    delta > 0
+      ? { _id: ret.order, $expr: { $lte: [{ $add: [{ $ifNull: ['$info.refunded', 0] }, delta] }, { $ifNull: ['$info.grandTotal', 0] }] } }
+      : { _id: ret.order },
+    [
+      { $set: { 'info.refunded': { $round: [{ $add: [{ $ifNull: ['$info.refunded', 0] }, delta] }, 2] } } },
+      { $set: { 'info.netTotal': { $round: [{ $subtract: [{ $ifNull: ['$info.grandTotal', 0] }, '$info.refunded'] }, 2] } } },
+    ],
+    { new: true }
+  ).lean();
+
+  const order = await addToOrder(amount);
+  if (!order) throw new ReturnError('Refunds can’t exceed the order total', { code: 'REFUND_EXCEEDS_ORDER' });
+
+  const at = new Date();
+  const refund = { amount, method, reference, note, creditNote: await nextCreditNoteNumber(at), by: actor, at };
+  const update = { $push: { refunds: refund }, $inc: { refundedTotal: amount } };
+  if (ret.status === 'received') {
+    update.$set = { status: 'refunded' };
+    update.$push.history = { from: 'received', to: 'refunded', actor, note, at };
+  }
+  // Conditional on the refunded total we checked, so two refunds can't both use the same headroom
+  const updated = await ReturnRequest.findOneAndUpdate({ _id: id, refundedTotal: ret.refundedTotal || 0 }, update, { new: true }).lean();
+  if (!updated) {
+    await addToOrder(-amount);
+    throw new ReturnError('The return was updated by someone else; reload it and try again', { code: 'RETURN_CHANGED' });
+  }
+
+  if ((order.info?.netTotal ?? 1) <= 0 && order.paymentStatus === 'Paid') {
+    try {
+      await applyTransition(Order, order._id, { paymentStatus: 'Refunded' }, { actor, note: `Refunded in full (${refund.creditNote})` });
+      // The goods are accounted for by the return itself; stop a later status change restocking the order again
+      await Order.updateOne({ _id: order._id }, { $set: { stockReserved: false } });
+    } catch (e) {
+      console.error('Payment status after refund not updated:', e?.message || e);
+    }
+  }
+  return { ret: updated, refund, order: await Order.findById(order._id).lean() };
+}
+
+/**
+ * Order lines less the units returns have already put back in stock, for restocking a
+ * cancelled / refunded order without counting those units twice.
+ */
+export async function unreturnedItems(order) {
+  const returns = await ReturnRequest.find({ order: order._id, 'items.restocked': { $gt: 0 } }, { items: 1 }).lean();
+  const back = new Map();
+  for (const r of returns) for (const it of r.items) back.set(it.lineId, (back.get(it.lineId) || 0) + (it.restocked || 0));
+  if (!back.size) return order.items || [];
+  return orderLines(order).map((l, i) => ({ ...order.items[i], qty: Math.max(0, l.qty - (back.get(l.lineId) || 0)) }))
+    .filter(i => i.qty > 0);
+}
+
+/* ----------------------------- Output ----------------------------- */
+/** What the customer sees: no contact details or who handled it */
+export function publicReturn(ret) {
+  return {
+    number: ret.number,
+    status: ret.status,
+    createdAt: ret.createdAt,
+    items: (ret.items || []).map(it => ({ lineId: it.lineId, title: it.title, qty: it.qty, reason: it.reason })),
+    comment: ret.comment || '',
+    photos: (ret.photos || []).map(p => p.sizes?.thumb || p.url),
+    history: (ret.history || []).map(h => ({ to: h.to, note: h.note || '', at: h.at })),
+    refunds: (ret.refunds || []).map(r => ({ amount: r.amount, method: r.method, reference: r.reference || '', creditNote: r.creditNote, at: r.at })),
+    refundedTotal: ret.refundedTotal || 0,
+  };
+}
+
+/** Email the customer about their return; never throws */
+export async function emailCustomer(ret, { subject, lines = [], note = '', attachments } = {}) {
+  const to = ret.customer?.email;
+  if (!to) return false;
+  try {
+    await sendEmail({
+      to,
+      subject: `${subject} – ${ret.number} – LWG`,
+      text: `Hi ${ret.customer?.name || 'there'},\n\n${lines.join('\n')}${note ? `\n\nNote from us: ${note}` : ''}\n\nReturn ${ret.number} for order ${ret.orderRef}`,
+      html: `<div style="font-family:system-ui,Segoe UI,Roboto,Arial">
+        <h3>${escapeHtml(subject)}</h3><p>Hi ${escapeHtml(ret.customer?.name || 'there')},</p>
+        ${lines.map(l => `<p>${escapeHtml(l)}</p>`).join('')}
+        ${note ? `<p><b>Note from us:</b><br>${escapeHtml(note)}</p>` : ''}
+        <p style="color:#6b7280;font-size:12px">Return ${escapeHtml(ret.number)} for order ${escapeHtml(ret.orderRef)}</p></div>`,
+      attachments,
+    });
+    return true;
+  } catch (e) {
+    console.error('Return email failed:', e?.message || e);
+    return false;
+  }
+}
@@ -0,0 +1,37 @@
+// lib/reviews.js — product rating aggregates (only approved reviews count)
+import mongoose from 'mongoose';
+import Review from '../models/Review.js';
+import Product from '../models/Product.js';
+
+const toId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/** { average, count, histogram:{ 1..5: n } } over a product's approved reviews */
+export async function ratingSummary(productId) {
+  const rows = await Review.aggregate([
+    { $match: { product: toId(productId), status: 'approved' } },
+    { $group: { _id: '$rating', n: { $sum: 1 } } },
+  ]);
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+  for (const r of rows) {
+    histogram[r._id] = r.n;
+    count += r.n;
+    sum += r._id * r.n;
+  }
+  return { average: count ? Math.round((sum / count) * 10) / 10 : 0, count, histogram };
+}
+
+/** Recompute Product.ratingAverage / ratingCount after a review is approved, rejected or deleted */
+export async function refreshProductRating(productId) {
+  const { average, count } = await ratingSummary(productId);
+  await Product.updateOne({ _id: productId }, { $set: { ratingAverage: average, ratingCount: count } });
+  return { average, count };
+}
+
+/** "Aminata Kamara" -> "Aminata K." (reviews never show a buyer's full name) */
+export function displayName(name = '') {
+  const [first = '', ...rest] = String(name).trim().split(/\s+/);
+  const last = rest.length ? ` ${rest[rest.length - 1][0].toUpperCase()}.` : '';
+  return first ? `${first}${last}` : 'Verified buyer';
+}
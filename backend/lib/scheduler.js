@@ -0,0 +1,58 @@
+// lib/scheduler.js — tiny in-process job runner for periodic background work
+// Jobs run on an interval, never overlap with themselves, and are skipped while Mongo is down.
+import mongoose from 'mongoose';
+
+const jobs = new Map();
+
+/**
+ * Run `job` after `initialDelayMs`, then every `everyMs` from that first run.
+ * Returns { run, stop }: run triggers the job on demand (e.g. from an admin route),
+ * stop clears both timers.
+ */
+export function schedule(name, everyMs, job, { initialDelayMs = 15_000 } = {}) {
+  let running = null;
+
+  const run = async () => {
+    if (running) return running; // a trigger during a run waits for that run
+    if (mongoose.connection.readyState !== 1) {
+      console.warn(`[jobs] ${name} skipped: DB not connected`);
+      return null;
+    }
+    const started = Date.now();
+    running = (async () => {
+      try {
+        const result = await job();
+        console.log(`[jobs] ${name} done in ${Date.now() - started}ms`, result ?? '');
+        return result;
+      } catch (e) {
+        console.error(`[jobs] ${name} failed:`, e?.message || e);
+        throw e;
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  };
+
+  // unref() so timers never keep the process (or a script) alive on their own
+  // The interval starts with the first run, so a job delayed to a set hour keeps that hour.
+  const quiet = () => run().catch(() => {});
+  let interval = null;
+  const timeout = setTimeout(() => {
+    interval = setInterval(quiet, everyMs).unref();
+    quiet();
+  }, initialDelayMs).unref();
+
+  const stop = () => {
+    clearTimeout(timeout);
+    clearInterval(interval);
+    if (jobs.get(name) === handle) jobs.delete(name);
+  };
+
+  const handle = { name, everyMs, run, stop };
+  jobs.set(name, handle);
+  return handle;
+}
+
+/** A scheduled job by name (undefined if not scheduled) */
+export const getJob = (name) => jobs.get(name);
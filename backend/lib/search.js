@@ -0,0 +1,114 @@
+// lib/search.js — catalog search helpers: regex escaping, typo correction, highlighting
+import Product from '../models/Product.js';
+import { visibleFilter } from './lifecycle.js';
+
+/** Escape user input before it goes into a RegExp / $regex */
+export const escapeRegex = (s = '') => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escHtml = (s = '') => String(s).replace(/[&<>"]/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[m]));
+
+/** Lower-cased word tokens (letters and digits, any script) */
+export const tokenize = (s = '') => String(s).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/** Levenshtein distance; stops early and returns max + 1 once `max` is exceeded */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/* =========================
+   Catalog vocabulary (typo tolerance)
+   ========================= */
+const VOCAB_TTL_MS = 5 * 60 * 1000;
+let vocab = { words: [], at: 0 };
+
+/** Words from product titles and tags, most frequent first (cached for a few minutes) */
+async function vocabulary() {
+  if (vocab.at && Date.now() - vocab.at < VOCAB_TTL_MS) return vocab.words;
+  // Public products only, so corrections never reveal draft titles
+  const rows = await Product.find(visibleFilter(), { title: 1, tags: 1 }).lean();
+  const freq = new Map();
+  for (const p of rows) {
+    for (const w of tokenize([p.title, ...(p.tags || [])].join(' '))) {
+      if (w.length > 2) freq.set(w, (freq.get(w) || 0) + 1);
+    }
+  }
+  vocab = { words: [...freq.keys()].sort((a, b) => freq.get(b) - freq.get(a)), at: Date.now() };
+  return vocab.words;
+}
+
+/** Drop the cached vocabulary (call after catalog writes) */
+export function invalidateVocabulary() {
+  vocab = { words: [], at: 0 };
+}
+
+// Short words must match exactly; longer words tolerate one or two typos
+const maxTypos = (w) => (w.length <= 3 ? 0 : w.length <= 5 ? 1 : 2);
+
+/**
+ * Replace unknown query terms with the closest catalog word ("hodie" -> "hoodie").
+ * Returns the corrected query, or null when no term could be corrected.
+ */
+export async function correctQuery(q) {
+  const words = await vocabulary();
+  const known = new Set(words);
+  let changed = false;
+
+  const terms = tokenize(q).map((t) => {
+    if (known.has(t)) return t;
+    let best = t;
+    let bestD = maxTypos(t) + 1;
+    for (const w of words) {
+      const d = editDistance(t, w, bestD - 1);
+      if (d < bestD) { best = w; bestD = d; }
+    }
+    if (best !== t) changed = true;
+    return best;
+  });
+  return changed ? terms.join(' ') : null;
+}
+
+/* =========================
+   Highlighting
+   ========================= */
+// Highlight the stem too, so "earbuds" marks "earbud" and vice versa
+const stem = (t) => (t.length > 4 ? t.replace(/(es|s)$/, '') : t);
+
+/**
+ * HTML snippet of `text` with query terms wrapped in <mark>. Output is HTML-escaped.
+ * With `radius`, long text is cut to that many characters around the first match.
+ */
+export function highlight(text = '', terms = [], { radius = 0 } = {}) {
+  const src = String(text || '');
+  if (!src) return '';
+  const list = [...new Set(terms.map(stem).filter(Boolean))].sort((a, b) => b.length - a.length);
+  // mark the rest of the word too: "earbud" -> <mark>Earbuds</mark>
+  const re = list.length ? new RegExp(`((?:${list.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*)`, 'giu') : null;
+
+  let start = 0;
+  let end = src.length;
+  if (radius && src.length > radius * 2) {
+    const at = Math.max(0, re ? src.search(re) : 0);
+    start = Math.max(0, at - radius);
+    end = Math.min(src.length, at + radius);
+    // don't cut words in half
+    if (start > 0) start = src.indexOf(' ', start) + 1 || start;
+    if (end < src.length) end = src.lastIndexOf(' ', end) > start ? src.lastIndexOf(' ', end) : end;
+  }
+
+  const slice = src.slice(start, end);
+  const parts = re ? slice.split(re) : [slice];
+  const html = parts.map((p, i) => (i % 2 ? `<mark>${escHtml(p)}</mark>` : escHtml(p))).join('');
+  return (start > 0 ? '…' : '') + html + (end < src.length ? '…' : '');
+}
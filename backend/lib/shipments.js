@@ -0,0 +1,217 @@
+// lib/shipments.js — splitting an order into shipments and deriving its delivery status
+// A shipment carries some quantity of some order lines, a carrier (courier or rider), a tracking
+// code, dispatch / delivery times and proof of delivery. Lines can't be put in shipments for more
+// than was ordered. Once anything is dispatched the order status follows the shipments:
+// Partially Shipped → Shipped (everything dispatched) → Delivered (every shipment delivered).
+import { applyTransition, statusFromShipments, OrderStatusError } from '@lwg/order-rules/orderStatus.js';
+import Order from '../models/Order.js';
+
+// Orders in these states take no new shipments
+const CLOSED_STATUSES = ['Cancelled', 'Completed'];
+
+export class ShipmentError extends Error {
+  constructor(message, { status = 409, code = 'INVALID_SHIPMENT', details = {} } = {}) {
+    super(message);
+    this.name = 'ShipmentError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** Stable id of an order line (orders saved without item ids fall back to the line number) */
+export const lineId = (item, index) => String(item?._id ?? index);
+
+const lineName = (item) => (item?.product?.title || 'Item') + (item?.variant ? ` (${item.variant})` : '');
+
+function qtyByLine(shipments = []) {
+  const byLine = new Map();
+  for (const s of shipments) {
+    for (const it of s.items || []) byLine.set(it.lineId, (byLine.get(it.lineId) || 0) + (Number(it.qty) || 0));
+  }
+  return byLine;
+}
+
+/**
+ * Every order line with how much of it is already in a shipment:
+ * [{ lineId, title, sku, qty, allocated, dispatched, remaining }]
+ */
+export function orderLines(order) {
+  const allocated = qtyByLine(order?.shipments);
+  const dispatched = qtyByLine((order?.shipments || []).filter(s => s.dispatchedAt));
+  return (order?.items || []).map((item, i) => {
+    const id = lineId(item, i);
+    const qty = Number(item.qty) || 0;
+    return {
+      lineId: id, title: lineName(item), sku: item.sku || '', qty,
+      allocated: allocated.get(id) || 0,
+      dispatched: dispatched.get(id) || 0,
+      remaining: Math.max(0, qty - (allocated.get(id) || 0)),
+    };
+  });
+}
+
+/** Status the shipments put the order in, or null while nothing has been dispatched */
+export function deriveStatus(order) {
+  const sent = (order?.shipments || []).filter(s => s.dispatchedAt);
+  if (!sent.length) return null;
+  const lines = orderLines(order).filter(l => l.qty > 0);
+  if (lines.some(l => l.dispatched < l.qty)) return 'Partially Shipped';
+  return sent.every(s => s.deliveredAt) ? 'Delivered' : 'Shipped';
+}
+
+function checkTimes({ dispatchedAt, deliveredAt }) {
+  const soon = Date.now() + 5 * 60 * 1000; // clock skew between the admin's device and us
+  if ((dispatchedAt && dispatchedAt.getTime() > soon) || (deliveredAt && deliveredAt.getTime() > soon)) {
+    throw new ShipmentError('Dispatch and delivery times can’t be in the future', { status: 400, code: 'INVALID_TIME' });
+  }
+  if (deliveredAt && !dispatchedAt) {
+    throw new ShipmentError('A shipment must be dispatched before it is delivered', { status: 400, code: 'NOT_DISPATCHED' });
+  }
+  if (deliveredAt && deliveredAt < dispatchedAt) {
+    throw new ShipmentError('Delivery time is before the dispatch time', { status: 400, code: 'INVALID_TIME' });
+  }
+}
+
+/** Move the order status along with its shipments (forward only); returns the status changes made */
+async function syncStatus(order, actor) {
+  const derived = deriveStatus(order);
+  const wanted = statusFromShipments(order.status, derived);
+  if (!wanted) return { order, changes: [] };
+  try {
+    const result = await applyTransition(Order, order._id, { status: wanted }, { actor, note: 'Updated from shipments', fromShipments: true });
+    return result || { order, changes: [] };
+  } catch (e) {
+    if (!(e instanceof OrderStatusError)) throw e;
+    console.error('Order status from shipments not applied:', e.message);
+    return { order, changes: [] };
+  }
+}
+
+/**
+ * Add a shipment to an order. `items` defaults to everything not yet in a shipment.
+ * Returns { order, shipment, changes } or null when the order doesn't exist.
+ * Throws ShipmentError: 409 ORDER_CLOSED | 400 UNKNOWN_LINE | 409 OVER_SHIPPED | 409 NOTHING_TO_SHIP | 409 ORDER_CHANGED
+ */
+export async function createShipment(orderId, input = {}, { actor = 'system' } = {}) {
+  const order = await Order.findById(orderId).lean();
+  if (!order) return null;
+  if (CLOSED_STATUSES.includes(order.status)) {
+    throw new ShipmentError(`Order is ${order.status}; it can't be shipped`, { code: 'ORDER_CLOSED' });
+  }
+
+  const lines = new Map(orderLines(order).map(l => [l.lineId, l]));
+  let items = input.items;
+  if (!items?.length) {
+    items = [...lines.values()].filter(l => l.remaining > 0).map(l => ({ lineId: l.lineId, qty: l.remaining }));
+    if (!items.length) throw new ShipmentError('Every item is already in a shipment', { code: 'NOTHING_TO_SHIP' });
+  }
+  const wanted = qtyByLine([{ items }]);
+  for (const [id, qty] of wanted) {
+    const line = lines.get(id);
+    if (!line) throw new ShipmentError(`Order has no line ${id}`, { status: 400, code: 'UNKNOWN_LINE', details: { lineId: id } });
+    if (qty > line.remaining) {
+      throw new ShipmentError(`Only ${line.remaining} × ${line.title} left to ship`,
+        { code: 'OVER_SHIPPED', details: { lineId: id, remaining: line.remaining } });
+    }
+  }
+  checkTimes(input);
+
+  const shipment = {
+    items: [...wanted].map(([id, qty]) => ({ lineId: id, qty })),
+    carrier: input.carrier || '',
+    trackingCode: input.trackingCode || '',
+    trackingUrl: input.trackingUrl || '',
+    note: input.note || '',
+    dispatchedAt: input.dispatchedAt || null,
+    deliveredAt: input.deliveredAt || null,
+    proofOfDeliveryUrl: input.proofOfDeliveryUrl || '',
+    createdBy: actor,
+    createdAt: new Date(),
+  };
+  // Conditional on the shipment count so two admins can't both ship the same remaining units
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, shipments: { $size: (order.shipments || []).length } },
+    { $push: { shipments: shipment } },
+    { new: true }
+  ).lean();
+  if (!updated) throw new ShipmentError('The order was updated by someone else; reload it and try again', { code: 'ORDER_CHANGED' });
+
+  const synced = await syncStatus(updated, actor);
+  return { order: synced.order, shipment: updated.shipments[updated.shipments.length - 1], changes: synced.changes };
+}
+
+const EDITABLE = ['carrier', 'trackingCode', 'trackingUrl', 'note', 'dispatchedAt', 'deliveredAt', 'proofOfDeliveryUrl'];
+
+/**
+ * Update a shipment's carrier, tracking, times or proof of delivery.
+ * Returns { order, shipment, before, changes } or null when the order or shipment doesn't exist.
+ */
+export async function updateShipment(orderId, shipmentId, input = {}, { actor = 'system' } = {}) {
+  const order = await Order.findOne({ _id: orderId, 'shipments._id': shipmentId }).lean();
+  if (!order) return null;
+  if (order.status === 'Cancelled') throw new ShipmentError('Order is Cancelled', { code: 'ORDER_CLOSED' });
+  const before = order.shipments.find(s => String(s._id) === String(shipmentId));
+
+  const $set = {};
+  for (const k of EDITABLE) if (input[k] !== undefined) $set[`shipments.$.${k}`] = input[k];
+  checkTimes({
+    dispatchedAt: input.dispatchedAt ?? before.dispatchedAt,
+    deliveredAt: input.deliveredAt ?? before.deliveredAt,
+  });
+  if (!Object.keys($set).length) return { order, shipment: before, before, changes: [] };
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: orderId, 'shipments._id': shipmentId },
+    { $set },
+    { new: true }
+  ).lean();
+  if (!updated) return null;
+  const synced = await syncStatus(updated, actor);
+  return {
+    order: synced.order,
+    shipment: updated.shipments.find(s => String(s._id) === String(shipmentId)),
+    before,
+    changes: synced.changes,
+  };
+}
+
+/**
+ * Remove a shipment that hasn't left yet (its items become shippable again).
+ * Returns the order, or null when the order or shipment doesn't exist.
+ */
+export async function deleteShipment(orderId, shipmentId) {
+  const order = await Order.findOne({ _id: orderId, 'shipments._id': shipmentId }, { 'shipments.$': 1 }).lean();
+  if (!order) return null;
+  if (order.shipments[0].dispatchedAt) {
+    throw new ShipmentError('This shipment has been dispatched and can’t be removed', { code: 'SHIPMENT_DISPATCHED' });
+  }
+  return Order.findOneAndUpdate(
+    { _id: orderId },
+    { $pull: { shipments: { _id: shipmentId, dispatchedAt: null } } },
+    { new: true }
+  ).lean();
+}
+
+/** Shipment state shown to customers and admins */
+export const shipmentState = (s) => (s.deliveredAt ? 'delivered' : s.dispatchedAt ? 'dispatched' : 'preparing');
+
+/**
+ * Shipments as customers see them (tracking page, emails), in the order they were created:
+ * [{ id, number, state, carrier, trackingCode, trackingUrl, dispatchedAt, deliveredAt, proofOfDeliveryUrl, items:[{ title, qty }] }]
+ */
+export function publicShipments(order) {
+  const lines = new Map(orderLines(order).map(l => [l.lineId, l]));
+  return (order?.shipments || []).map((s, i) => ({
+    id: String(s._id),
+    number: i + 1,
+    state: shipmentState(s),
+    carrier: s.carrier || '',
+    trackingCode: s.trackingCode || '',
+    trackingUrl: s.trackingUrl || '',
+    dispatchedAt: s.dispatchedAt || null,
+    deliveredAt: s.deliveredAt || null,
+    proofOfDeliveryUrl: s.proofOfDeliveryUrl || '',
+    items: (s.items || []).map(it => ({ title: lines.get(it.lineId)?.title || 'Item', qty: it.qty })),
+  }));
+}
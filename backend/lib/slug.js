@@ -0,0 +1,26 @@
+// lib/slug.js — URL slugs from product titles
+
+/** "Café Bag (Large)!" -> "cafe-bag-large" */
+export function slugify(text = '', maxLength = 80) {
+  const slug = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')   // strip accents
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+  return slug || 'product';
+}
+
+/**
+ * First free slug among base, base-2, base-3, …
+ * `isTaken(candidate)` resolves true when another document already uses it.
+ */
+export async function uniqueSlug(base, isTaken) {
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    if (!(await isTaken(candidate))) return candidate;
+  }
+}
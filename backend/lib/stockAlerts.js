@@ -0,0 +1,149 @@
+// lib/stockAlerts.js — low / out-of-stock alerts for admins (email + WhatsApp via lib/notify.js)
+// Each product has a lowStockThreshold (LOW_STOCK_THRESHOLD when unset); products with variants
+// are checked per variant. An item alerts once when it drops to its threshold and once more when
+// it sells out; a StockAlert document suppresses repeats until the item is restocked.
+// Only published products are watched (drafts and archived products are not for sale).
+import Product from '../models/Product.js';
+import StockAlert from '../models/StockAlert.js';
+import { variantLabel } from './pricing.js';
+import { notifyAdmin } from './notify.js';
+
+export const DEFAULT_THRESHOLD = Math.max(0, Number(process.env.LOW_STOCK_THRESHOLD ?? 5) || 0);
+
+const STOCK_FIELDS = 'title slug status stock lowStockThreshold options variants.sku variants.options variants.stock';
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''));
+const isWatched = (p) => (p.status || 'published') === 'published';
+
+export const thresholdOf = (p) => p.lowStockThreshold ?? DEFAULT_THRESHOLD;
+
+/** 'out' | 'low' | null */
+export function stockLevel(stock, threshold) {
+  if (stock <= 0) return 'out';
+  if (stock <= threshold) return 'low';
+  return null;
+}
+
+/** One row per stock-keeping unit (each variant, or the product itself) */
+export function stockUnits(p) {
+  const threshold = thresholdOf(p);
+  const units = p.variants?.length
+    ? p.variants.map(v => ({ sku: v.sku, variant: variantLabel(v, p.options), stock: Number(v.stock) || 0 }))
+    : [{ sku: '', variant: '', stock: Number(p.stock) || 0 }];
+  return units.map(u => ({
+    productId: String(p._id), title: p.title, slug: p.slug || '', ...u,
+    threshold, level: stockLevel(u.stock, threshold),
+  }));
+}
+
+const escapeHtml = (s = '') => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const unitName = (u) => u.title + (u.variant ? ` (${u.variant})` : '') + (u.sku ? ` [${u.sku}]` : '');
+
+/**
+ * Record an alert for a unit unless one at the same or a worse level exists.
+ * The unique { product, sku } index makes concurrent checks claim it only once.
+ */
+async function claimAlert(u) {
+  const sameOrWorse = u.level === 'out' ? ['out'] : ['low', 'out'];
+  const set = { level: u.level, stock: u.stock, threshold: u.threshold, alertedAt: new Date() };
+  try {
+    const r = await StockAlert.updateOne(
+      { product: u.productId, sku: u.sku, level: { $nin: sameOrWorse } },
+      { $set: set },
+      { upsert: true }
+    );
+    return r.modifiedCount + r.upsertedCount > 0;
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+  }
+  // Partly restocked after selling out: back to "low" quietly, so selling out again alerts
+  if (u.level === 'low') {
+    await StockAlert.updateOne({ product: u.productId, sku: u.sku, level: 'out' }, { $set: { level: 'low', stock: u.stock } });
+  }
+  return false;
+}
+
+async function sendStockAlert(units) {
+  const out = units.filter(u => u.level === 'out');
+  const subject = out.length === units.length
+    ? `Out of stock: ${out.length === 1 ? unitName(out[0]) : `${out.length} items`} – LWG`
+    : `Low stock: ${units.length === 1 ? unitName(units[0]) : `${units.length} items`} – LWG`;
+  const line = (u) => `${unitName(u)} — ${u.level === 'out' ? 'sold out' : `${u.stock} left`} (alert at ${u.threshold})`;
+  await notifyAdmin({
+    subject,
+    text: units.map(u => `• ${line(u)}`).join('\n'),
+    html: `<div style="font-family:system-ui,Segoe UI,Roboto,Arial"><h3>${escapeHtml(subject)}</h3><ul>${
+      units.map(u => `<li>${escapeHtml(line(u))}</li>`).join('')}</ul></div>`,
+  });
+}
+
+/**
+ * Re-check stock for the given products after it changed (order, cancellation, admin edit).
+ * Sends one alert for items that newly crossed their threshold and clears alerts for restocked ones.
+ * Returns the units that alerted.
+ */
+export async function checkStockLevels(productIds = []) {
+  const ids = [...new Set(productIds.map(String))].filter(isObjectId);
+  if (!ids.length) return [];
+  const [products, existing] = await Promise.all([
+    Product.find({ _id: { $in: ids } }, STOCK_FIELDS).lean(),
+    StockAlert.find({ product: { $in: ids } }, { product: 1, sku: 1 }).lean(),
+  ]);
+
+  const fired = [];
+  for (const p of products) {
+    const low = isWatched(p) ? stockUnits(p).filter(u => u.level) : [];
+    const restocked = existing.filter(a => String(a.product) === String(p._id) && !low.some(u => u.sku === a.sku));
+    if (restocked.length) await StockAlert.deleteMany({ _id: { $in: restocked.map(a => a._id) } });
+    for (const u of low) {
+      if (await claimAlert(u)) fired.push(u);
+    }
+  }
+  if (fired.length) await sendStockAlert(fired);
+  return fired;
+}
+
+/** Fire-and-forget variant for request handlers: alerts must never fail or slow the request */
+export function watchStock(productIds) {
+  checkStockLevels(productIds).catch(e => console.error('Stock alert check failed:', e?.message || e));
+}
+
+/**
+ * Every published item at or below its threshold, lowest stock first:
+ * [{ productId, title, slug, sku, variant, stock, threshold, level, alertedAt }]
+ */
+export async function lowStockItems() {
+  const threshold = { $ifNull: ['$lowStockThreshold', DEFAULT_THRESHOLD] };
+  const products = await Product.find({
+    status: { $in: ['published', null] },
+    $expr: {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+        { $anyElementTrue: [{ $map: { input: '$variants', in: { $lte: ['$$this.stock', threshold] } } }] },
+        { $lte: ['$stock', threshold] },
+      ],
+    },
+  }, STOCK_FIELDS).lean();
+
+  const items = products.flatMap(p => stockUnits(p).filter(u => u.level));
+  const alerts = await StockAlert.find({ product: { $in: products.map(p => p._id) } }, { product: 1, sku: 1, alertedAt: 1 }).lean();
+  const alertedAt = new Map(alerts.map(a => [`${a.product}|${a.sku}`, a.alertedAt]));
+  return items
+    .map(u => ({ ...u, alertedAt: alertedAt.get(`${u.productId}|${u.sku}`) || null }))
+    .sort((a, b) => (a.stock - b.stock) || a.title.localeCompare(b.title));
+}
+
+/** Daily digest of everything at or below its threshold (nothing is sent when all is well) */
+export async function sendLowStockSummary() {
+  const items = await lowStockItems();
+  if (!items.length) return { items: 0 };
+  const out = items.filter(u => u.level === 'out').length;
+  const subject = `Daily stock summary: ${items.length} low${out ? `, ${out} sold out` : ''} – LWG`;
+  const line = (u) => `${unitName(u)} — ${u.stock} left (alert at ${u.threshold})`;
+  await notifyAdmin({
+    subject,
+    text: items.map(u => `• ${line(u)}`).join('\n'),
+    html: `<div style="font-family:system-ui,Segoe UI,Roboto,Arial"><h3>${escapeHtml(subject)}</h3><ul>${
+      items.map(u => `<li>${escapeHtml(line(u))}</li>`).join('')}</ul></div>`,
+  });
+  return { items: items.length, out };
+}
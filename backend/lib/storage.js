@@ -0,0 +1,162 @@
+// lib/storage.js — image storage (product galleries, review photos)
+// Cloudinary when it is configured (server.js calls cloudinary.config()), otherwise local disk.
+// Every stored image is described by an asset: { key, provider, url, sizes:{ thumb, card, zoom }, width, height }
+// (images stored before renditions existed may lack sizes; use `url` for any size that's missing)
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { v2 as cloudinary } from 'cloudinary';
+import sharp from 'sharp';
+
+// Longest edge in px for each rendition
+export const IMAGE_SIZES = { thumb: 160, card: 600, zoom: 1600 };
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/** JSON body limit (bytes) for a request carrying up to `files` images as base64 (a third bigger), plus 1 MB for the rest */
+export const uploadBodyLimit = (files) => Math.ceil((files * MAX_IMAGE_BYTES * 4) / 3) + 1024 * 1024;
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+// Sub-folders in use; keeps product, review, proof-of-delivery and return photos apart
+const FOLDERS = ['products', 'reviews', 'deliveries', 'returns'];
+
+export class StorageError extends Error {
+  constructor(message, { status = 400, code = 'INVALID_IMAGE' } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/** Detect the image type from its first bytes (the client-sent mime is not trusted) */
+export function sniffImage(buf) {
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return { mime: 'image/jpeg', ext: 'jpg' };
+  if (buf.length > 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return { mime: 'image/png', ext: 'png' };
+  if (buf.length > 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return { mime: 'image/webp', ext: 'webp' };
+  if (buf.length > 6 && buf.toString('ascii', 0, 3) === 'GIF') return { mime: 'image/gif', ext: 'gif' };
+  return null;
+}
+
+const safeName = (s = '') => String(s).replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_').slice(0, 60) || 'image';
+
+/* =========================
+   Cloudinary
+   ========================= */
+const cloudinaryStorage = {
+  name: 'cloudinary',
+
+  /** Upload once; Cloudinary generates the resized renditions eagerly */
+  async save({ buffer, type, filename, folder }) {
+    const names = Object.keys(IMAGE_SIZES);
+    const res = await cloudinary.uploader.upload(`data:${type.mime};base64,${buffer.toString('base64')}`, {
+      folder: `lwg-${folder}`,
+      resource_type: 'image',
+      public_id: `${safeName(filename)}_${crypto.randomBytes(4).toString('hex')}`,
+      eager: names.map(n => ({ width: IMAGE_SIZES[n], height: IMAGE_SIZES[n], crop: 'limit', quality: 'auto', fetch_format: 'auto' })),
+    });
+    const sizes = {};
+    names.forEach((n, i) => { sizes[n] = res.eager?.[i]?.secure_url || res.secure_url; });
+    return { key: res.public_id, provider: 'cloudinary', url: res.secure_url, sizes, width: res.width, height: res.height };
+  },
+
+  async remove(asset) {
+    await cloudinary.uploader.destroy(asset.key, { invalidate: true });
+  },
+};
+
+/* =========================
+   Local disk (no credentials needed)
+   ========================= */
+// Renditions are resized with sharp (upright, never enlarged, first frame of a GIF) and saved as WebP
+// next to the original: products/tee_ab12cd.jpg -> products/tee_ab12cd_thumb.webp, …
+const renditionKey = (key, size) => `${key.replace(/\.[^.]+$/, '')}_${size}.webp`;
+
+const diskStorage = {
+  name: 'local',
+
+  async save({ buffer, type, filename, folder, baseUrl = '' }) {
+    const key = `${folder}/${safeName(filename)}_${crypto.randomBytes(6).toString('hex')}.${type.ext}`;
+    let meta;
+    const renditions = [];
+    try {
+      meta = await sharp(buffer).metadata();
+      for (const [size, px] of Object.entries(IMAGE_SIZES)) {
+        const data = await sharp(buffer).rotate()
+          .resize({ width: px, height: px, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer();
+        renditions.push([size, data]);
+      }
+    } catch {
+      throw new StorageError(`${filename}: the image could not be read`);
+    }
+
+    await fs.mkdir(path.join(UPLOAD_DIR, folder), { recursive: true });
+    await fs.writeFile(path.join(UPLOAD_DIR, key), buffer);
+    const sizes = {};
+    for (const [size, data] of renditions) {
+      await fs.writeFile(path.join(UPLOAD_DIR, renditionKey(key, size)), data);
+      sizes[size] = `${baseUrl}/uploads/${renditionKey(key, size)}`;
+    }
+    const turned = meta.orientation >= 5; // EXIF orientations 5-8 are stored sideways
+    return {
+      key, provider: 'local', url: `${baseUrl}/uploads/${key}`, sizes,
+      width: turned ? meta.height : meta.width, height: turned ? meta.width : meta.height,
+    };
+  },
+
+  async remove(asset) {
+    const file = path.resolve(UPLOAD_DIR, asset.key);
+    if (!file.startsWith(path.resolve(UPLOAD_DIR) + path.sep)) return; // never leave the upload dir
+    await fs.rm(file, { force: true });
+    await Promise.all(Object.keys(IMAGE_SIZES).map(size => fs.rm(renditionKey(file, size), { force: true })));
+  },
+};
+
+const ADAPTERS = { cloudinary: cloudinaryStorage, local: diskStorage };
+
+/** Adapter for new uploads: MEDIA_STORAGE if set, else Cloudinary when configured, else local */
+export function currentStorage() {
+  const forced = process.env.MEDIA_STORAGE;
+  if (forced && ADAPTERS[forced]) return ADAPTERS[forced];
+  const cfg = cloudinary.config();
+  return cfg.cloud_name && cfg.api_key && cfg.api_secret ? cloudinaryStorage : diskStorage;
+}
+
+/**
+ * Validate and store one base64 image.
+ * Throws StorageError for empty, oversized or non-image files.
+ */
+export async function saveImage({ base64, filename = 'image', baseUrl, folder = 'products' }) {
+  if (!FOLDERS.includes(folder)) throw new Error(`Unknown image folder: ${folder}`);
+  const buffer = Buffer.from(String(base64 || '').replace(/^data:[^;]+;base64,/, ''), 'base64');
+  if (!buffer.length) throw new StorageError(`${filename}: file is empty`);
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new StorageError(`${filename}: images must be under ${MAX_IMAGE_BYTES / 1024 / 1024} MB`, { status: 413, code: 'IMAGE_TOO_LARGE' });
+  }
+  const type = sniffImage(buffer);
+  if (!type) throw new StorageError(`${filename}: only JPEG, PNG, WebP or GIF images are allowed`);
+  return currentStorage().save({ buffer, type, filename, folder, baseUrl });
+}
+
+/**
+ * Uploaded assets the product no longer shows (not in `images` and not the cover).
+ * Drops them from product.imageAssets and returns them for removeImages().
+ */
+export function detachUnusedAssets(product) {
+  const used = new Set([...(product.images || []), product.image].filter(Boolean));
+  const assets = product.imageAssets || [];
+  const unused = assets.filter(a => !used.has(a.url));
+  if (unused.length) product.imageAssets = assets.filter(a => used.has(a.url));
+  return unused.map(a => (typeof a.toObject === 'function' ? a.toObject() : a));
+}
+
+/** Delete stored files; failures are logged, never thrown (the product update already happened) */
+export async function removeImages(assets = []) {
+  await Promise.all(assets.map(async (a) => {
+    try { await ADAPTERS[a.provider]?.remove(a); }
+    catch (e) { console.error('Image delete failed:', a.key, e?.message || e); }
+  }));
+}
@@ -0,0 +1,23 @@
+// lib/validation.js — shared zod error formatting for route handlers
+
+/** Flatten zod issues into { 'field.path': 'message' } (first message per field) */
+export function fieldErrors(error) {
+  const fields = {};
+  for (const issue of error.issues || []) {
+    const key = issue.path.join('.') || '_';
+    if (!fields[key]) fields[key] = issue.message;
+  }
+  return fields;
+}
+
+/** 400 { ok:false, error:'Validation failed', fields } */
+export function sendValidationError(res, error) {
+  return res.status(400).json({ ok: false, error: 'Validation failed', fields: fieldErrors(error) });
+}
+
+/** Mongoose ValidationError -> { path: message } */
+export function mongooseFieldErrors(e) {
+  const fields = {};
+  for (const [k, v] of Object.entries(e?.errors || {})) fields[k] = v.message;
+  return fields;
+}
@@ -0,0 +1,22 @@
+// middleware/auth.js — admin bearer-token guard (shared by server.js and routes/*)
+
+/**
+ * Protect admin routes with the static ADMIN_TOKEN issued by /api/admin/login.
+ * Expects an Authorization header in the form "Bearer <token>".
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  next();
+}
+
+/** True when the request carries the admin token (for routes that show admins more, e.g. draft products) */
+export function isAdmin(req) {
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+  return !!token && token === process.env.ADMIN_TOKEN;
+}
+
+/** Name written to audit trails (e.g. the inventory ledger) for admin actions — there is one shared admin login */
+export const adminUser = () => process.env.ADMIN_USER || 'admin';
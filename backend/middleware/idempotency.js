@@ -0,0 +1,123 @@
+// middleware/idempotency.js — replay-safe writes keyed by the client's Idempotency-Key header
+// The first request with a key is processed normally and its 2xx response is stored; replays of
+// the same body within IDEMPOTENCY_TTL_HOURS get that response back (and nothing runs twice).
+// The same key with a different body is a 409. A failed request releases its key, so the
+// client may retry it unchanged; so may one whose original crashed mid-request (still processing
+// after STALE_MS), which takes the key over. Requests without the header are not affected.
+import crypto from 'node:crypto';
+import mongoose from 'mongoose';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+const TTL_MS = Math.max(1, Number(process.env.IDEMPOTENCY_TTL_HOURS ?? 24) || 24) * 60 * 60 * 1000;
+const KEY_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+const WAIT_MS = 25_000;          // a replay waits this long for the original to finish
+const POLL_MS = 500;
+const STALE_MS = 5 * 60 * 1000;  // an original still "processing" after this never finished
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** JSON with object keys sorted, so the same body always hashes the same */
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+const hashBody = (body) => crypto.createHash('sha256').update(stableStringify(body ?? {})).digest('hex');
+
+/** Claim a key whose original never finished (processing for over STALE_MS); false if another retry got it first */
+async function takeOver(filter) {
+  const now = Date.now();
+  const taken = await IdempotencyKey.findOneAndUpdate(
+    { ...filter, status: 'processing', createdAt: { $lt: new Date(now - STALE_MS) } },
+    { $set: { createdAt: new Date(now), expiresAt: new Date(now + TTL_MS) } }
+  ).lean();
+  return !!taken;
+}
+
+function replay(res, record) {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.response?.statusCode || 200).json(record.response?.body ?? { ok: true });
+}
+
+/** Wait for the original request to finish; returns the record (done) or null (still running / gone) */
+async function waitForOriginal(filter) {
+  const until = Date.now() + WAIT_MS;
+  while (Date.now() < until) {
+    await sleep(POLL_MS);
+    const record = await IdempotencyKey.findOne(filter).lean();
+    if (!record || record.status === 'done') return record;
+  }
+  return null;
+}
+
+/**
+ * idempotency('orders') — use in front of a POST handler that responds with res.json().
+ * Errors: 400 INVALID_IDEMPOTENCY_KEY | 409 IDEMPOTENCY_KEY_REUSED | 409 IDEMPOTENCY_IN_PROGRESS
+ */
+export function idempotency(scope) {
+  return async function idempotencyMiddleware(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({ ok: false, error: 'Idempotency-Key must be 8-128 letters, digits or ._:-', code: 'INVALID_IDEMPOTENCY_KEY' });
+    }
+    // Without the database keys can't be checked; the handler itself answers 503 in that case
+    if (mongoose.connection.readyState !== 1) return next();
+
+    const filter = { scope, key };
+    const requestHash = hashBody(req.body);
+    let claimed = false;
+    try {
+      for (let attempt = 0; attempt < 2 && !claimed; attempt++) {
+        try {
+          await IdempotencyKey.create({ scope, key, requestHash, expiresAt: new Date(Date.now() + TTL_MS) });
+          claimed = true; // first time we see this key: process it below
+          break;
+        } catch (e) {
+          if (e?.code !== 11000) throw e;
+        }
+        let record = await IdempotencyKey.findOne(filter).lean();
+        if (!record) continue; // released by a failed original in the meantime: claim it
+        if (record.requestHash !== requestHash) {
+          return res.status(409).json({
+            ok: false, code: 'IDEMPOTENCY_KEY_REUSED',
+            error: 'This Idempotency-Key was already used for a different request',
+          });
+        }
+        if (record.status === 'processing' && Date.now() - new Date(record.createdAt).getTime() < STALE_MS) {
+          record = await waitForOriginal(filter);
+          if (!record) continue;
+        }
+        if (record.status === 'done') return replay(res, record);
+        claimed = await takeOver(filter); // stale: the original crashed, run the request again
+        break;
+      }
+    } catch (e) {
+      console.error(`Idempotency check (${scope}) error:`, e?.message || e);
+      return res.status(500).json({ ok: false, error: 'Failed to process request' });
+    }
+
+    if (!claimed) {
+      res.set('Retry-After', '5');
+      return res.status(409).json({
+        ok: false, code: 'IDEMPOTENCY_IN_PROGRESS',
+        error: 'An earlier attempt with this Idempotency-Key has not finished; check your order before trying again',
+      });
+    }
+
+    // Keep the response for replays, or release the key when nothing was created
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+      const done = statusCode >= 200 && statusCode < 300
+        ? IdempotencyKey.updateOne(filter, { $set: { status: 'done', response: { statusCode, body } } })
+        : IdempotencyKey.deleteOne({ ...filter, status: 'processing' });
+      done.catch(e => console.error(`Idempotency save (${scope}) error:`, e?.message || e));
+      return json(body);
+    };
+    next();
+  };
+}
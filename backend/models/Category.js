@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import { slugify, uniqueSlug } from '../lib/slug.js';
+import SaleWindowSchema from './SaleWindow.js';
+
+const CategorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    slug: { type: String, unique: true },
+    description: { type: String, default: '' },
+    image: { type: String, default: '' },
+
+    // Tree: parent link plus the materialized path (root first) for descendant queries
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+
+    position: { type: Number, default: 0 }, // ordering among siblings
+
+    // Scheduled promotions for every product in this category and below (lib/promotions.js)
+    sales: [SaleWindowSchema],
+  },
+  { timestamps: true }
+);
+
+/* ----------------------------- Indexes & hooks ----------------------------- */
+CategorySchema.index({ ancestors: 1 });
+CategorySchema.index({ parent: 1, position: 1, name: 1 });
+
+CategorySchema.post('init', function () {
+  this.$locals.savedAncestors = (this.ancestors || []).map(String);
+});
+
+// Slug from the name (when missing), ancestors from the parent, and no cycles
+CategorySchema.pre('validate', async function () {
+  const Category = this.constructor;
+
+  if (this.slug) this.slug = this.slug.trim().toLowerCase();
+  if (!this.slug) {
+    this.slug = await uniqueSlug(slugify(this.name), async s => !!(await Category.exists({ _id: { $ne: this._id }, slug: s })));
+  }
+
+  if (!this.isNew && !this.isModified('parent')) return;
+  if (!this.parent) {
+    this.ancestors = [];
+    return;
+  }
+  const parent = await Category.findById(this.parent, { ancestors: 1 }).lean();
+  if (!parent) {
+    this.invalidate('parent', 'Parent category not found', this.parent);
+    return;
+  }
+  if (String(parent._id) === String(this._id) || parent.ancestors.some(a => String(a) === String(this._id))) {
+    this.invalidate('parent', 'A category cannot be moved under itself', this.parent);
+    return;
+  }
+  this.ancestors = [...parent.ancestors, parent._id];
+});
+
+// Moving a category re-roots the paths of everything below it
+CategorySchema.post('save', async function () {
+  const before = this.$locals.savedAncestors;
+  const now = (this.ancestors || []).map(String);
+  this.$locals.savedAncestors = now;
+  if (!before || before.join() === now.join()) return;
+
+  const Category = this.constructor;
+  const descendants = await Category.find({ ancestors: this._id }, { ancestors: 1 }).lean();
+  if (!descendants.length) return;
+  await Category.bulkWrite(descendants.map((d) => {
+    const below = d.ancestors.slice(d.ancestors.findIndex(a => String(a) === String(this._id)));
+    return { updateOne: { filter: { _id: d._id }, update: { $set: { ancestors: [...this.ancestors, ...below] } } } };
+  }));
+});
+
+/* ---------------------------- Clean JSON output ---------------------------- */
+CategorySchema.set('toJSON', {
+  versionKey: false,
+  transform(_doc, ret) {
+    ret.id = ret._id?.toString();
+    delete ret._id;
+    return ret;
+  },
+});
+
+/* ----------------------------- Export Model ----------------------------- */
+export default mongoose.models.Category || mongoose.model('Category', CategorySchema);
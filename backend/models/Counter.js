@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+/**
+ * Named sequences incremented atomically with $inc (e.g. 'order-2610' for order refs in Oct 2026).
+ */
+const CounterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { versionKey: false }
+);
+
+/* ----------------------------- Export Model ----------------------------- */
+export default mongoose.models.Counter || mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * A client-supplied Idempotency-Key seen on a write (middleware/idempotency.js).
+ * While `processing` it blocks concurrent duplicates; once `done` it holds the response to replay.
+ * Documents are removed by the TTL index when `expiresAt` passes.
+ */
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    scope: { type: String, required: true },            // e.g. 'orders'
+    key: { type: String, required: true },
+    requestHash: { type: String, required: true },      // sha256 of the request body
+    status: { type: String, enum: ['processing', 'done'], default: 'processing' },
+    response: {
+      statusCode: Number,
+      body: mongoose.Schema.Types.Mixed,
+    },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+/* ----------------------------- Indexes ----------------------------- */
+IdempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/* ----------------------------- Export Model ----------------------------- */
+export default mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', IdempotencyKeySchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Why stock moved. `initial` is an opening balance (new product, or a reconcile of older stock).
+export const MOVEMENT_REASONS = ['sale', 'cancellation', 'adjustment', 'stock_count', 'return', 'initial'];
+
+/**
+ * One stock change for a product (or one of its variants), written by lib/inventory.js.
+ * The sum of `delta` per product/sku is the ledger balance that stock is reconciled against.
+ */
+const InventoryMovementSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    sku: { type: String, default: '' },           // '' for products without variants
+    delta: { type: Number, required: true },      // + into stock, − out of stock
+    stockAfter: Number,                           // product / variant stock right after the change
+    reason: { type: String, enum: MOVEMENT_REASONS, required: true },
+    orderRef: { type: String, default: '' },
+    user: { type: String, default: '' },          // admin name, 'customer' or 'system'
+    note: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+/* ----------------------------- Indexes ----------------------------- */
+InventoryMovementSchema.index({ product: 1, sku: 1, createdAt: -1 });
+InventoryMovementSchema.index({ orderRef: 1 }, { partialFilterExpression: { orderRef: { $gt: '' } } });
+
+/* ---------------------------- Clean JSON output ---------------------------- */
+InventoryMovementSchema.set('toJSON', {
+  transform(_doc, ret) {
+    ret.id = ret._id?.toString();
+    delete ret._id;
+    return ret;
+  },
+});
+
+/* ----------------------------- Export Model ----------------------------- */
+export default mongoose.models.InventoryMovement || mongoose.model('InventoryMovement', InventoryMovementSchema);
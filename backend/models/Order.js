@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { normalizeRef } from '@lwg/order-rules/orderRef.js';
+
+const OrderSchema = new mongoose.Schema({
+  ref: { type: String, unique: true, sparse: true }, // LWG-YYMM-NNNNN-C (@lwg/order-rules/orderRef.js); older orders keep random refs
+  createdAt: { type: Date, default: Date.now },
+  info: {
+    name: String, phone: String, email: String, payment: String, address: String,
+    deliveryZone: String, deliveryFee: Number, subtotal: Number, grandTotal: Number,
+    savings: Number, // total saved against compare-at prices (lib/pricing.js)
+    refunded: Number, // sum of refunds on its returns (lib/returns.js)
+    netTotal: Number, // grandTotal - refunded; unset until the first refund
+    payment_details: Object
+  },
+  items: [{
+    id: String,
+    productId: String,
+    sku: String,     // variant SKU (only for products with variants)
+    variant: String, // variant name at time of order, e.g. "M / Black"
+    sale: String,    // promotion applied at time of order, e.g. "Weekend sale"
+    qty: Number,
+    product: {
+      title: String,
+      price: Number,          // price charged (sale applied)
+      compareAtPrice: Number, // regular / "was" price when discounted
+      image: String
+    }
+  }],
+  proofUrl: String,
+  stockReserved: { type: Boolean, default: false }, // true while items[] are held out of Product.stock
+  revision: { type: Number, default: 0 }, // bumped by every admin edit (lib/orderEdit.js)
+  editedAt: { type: Date, default: null },
+  returnsRevision: { type: Number, default: 0 }, // bumped by every new return so two can't claim the same units (lib/returns.js)
+  paymentStatus: { type: String, default: 'Pending' }, // Pending | Paid | Failed | Refunded
+  status: { type: String, default: 'New' }, // New | Processing | Partially Shipped | Shipped | Delivered | Completed | Cancelled
+  // Parcels the order went out in (lib/shipments.js); once any is dispatched they drive `status`
+  shipments: [{
+    items: [{ _id: false, lineId: String, qty: Number }], // lineId = items[]._id (or line number for older orders)
+    carrier: String,      // courier company or rider
+    trackingCode: String,
+    trackingUrl: String,
+    note: String,
+    dispatchedAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+    proofOfDeliveryUrl: String, // photo or signature
+    createdBy: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Customer's request to cancel an order already being prepared (lib/cancellation.js)
+  cancelRequest: {
+    status: { type: String }, // open | accepted | declined
+    reason: String,
+    note: String,             // admin's answer when declined
+    at: Date,
+    resolvedBy: String,
+    resolvedAt: Date
+  },
+  // Every status / payment change and admin edit, oldest first (@lwg/order-rules/orderStatus.js decides which moves are allowed)
+  history: [{
+    _id: false,
+    field: String, // 'status' | 'paymentStatus' | 'order' (to: 'Edited', note lists the changes) | 'cancellation' (Requested / Declined)
+    from: String,  // null for the order being placed
+    to: String,
+    actor: String, // 'customer', 'system' or the admin user
+    note: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, { versionKey: false });
+
+/**
+ * Customer identity check used by tracking, receipts and reviews:
+ * the order ref plus the phone and/or email it was placed with.
+ */
+export function identityFilter({ ref, phone, email } = {}) {
+  // String() so query/body objects like { $ne: '' } can't widen the match
+  const filter = { ref: normalizeRef(String(ref)) };
+  if (phone) filter['info.phone'] = String(phone);
+  if (email) filter['info.email'] = String(email);
+  return filter;
+}
+
+export default mongoose.models.Order || mongoose.model('Order', OrderSchema);
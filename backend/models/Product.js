@@ -1,4 +1,34 @@
 import mongoose from 'mongoose';
+import { slugify, uniqueSlug } from '../lib/slug.js';
+import { PRODUCT_STATUSES } from '../lib/lifecycle.js';
+import SaleWindowSchema from './SaleWindow.js';
+
+/* -------------------------------- Variants -------------------------------- */
+// One purchasable combination of the product's option axes, e.g. { Size:'M', Colour:'Black' }
+const VariantSchema = new mongoose.Schema(
+  {
+    sku: { type: String, required: true, trim: true },
+    options: { type: Map, of: String, default: {} },
+    price: { type: Number, min: 0 },          // overrides the product price when set
+    stock: { type: Number, default: 0, min: 0 },
+    image: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+/* ------------------------------ Image assets ------------------------------ */
+// Files uploaded through /api/products/:id/images (see lib/storage.js); matched to images[] by url
+const ImageAssetSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },        // storage id (Cloudinary public_id or path under uploads/)
+    provider: { type: String, enum: ['cloudinary', 'local'], required: true },
+    url: { type: String, required: true },
+    sizes: { thumb: String, card: String, zoom: String },
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
 
 const ProductSchema = new mongoose.Schema(
   {
@@ -8,30 +38,112 @@ const ProductSchema = new mongoose.Schema(
 
     // Images
     image: { type: String, default: '' },   // cover image
-    images: [{ type: String }],             // gallery of images
+    images: [{ type: String }],             // gallery of images (in display order)
+    imageAssets: [ImageAssetSchema],        // renditions for uploaded images
+
+    // Lifecycle: only published products inside their publish window are public (lib/lifecycle.js)
+    // No default: legacy documents without a status must stay published when re-saved; POST sets 'draft'
+    status: { type: String, enum: PRODUCT_STATUSES },
+    publishAt: { type: Date, default: null },   // go live at (null = immediately)
+    unpublishAt: {                              // stop selling at (null = never)
+      type: Date,
+      default: null,
+      validate: {
+        validator(v) { return !v || !this.publishAt || v > this.publishAt; },
+        message: 'The end date must be after the publish date',
+      },
+    },
 
-    // Categorization
+    // Sale pricing: `price` stays the regular price; lib/promotions.js applies active windows
+    compareAtPrice: { type: Number, min: 0, default: null }, // "was" price shown struck through
+    sales: [SaleWindowSchema],
+
+    // Categorization (`category` mirrors the category's name for display and legacy clients)
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
     category: { type: String, default: '' },
     tags: [{ type: String }],
 
-    // SEO / slug
+    // SEO / slug (generated from the title; old slugs keep working via slugHistory)
     slug: { type: String, unique: true, sparse: true },
+    slugHistory: [{ type: String }],
 
-    // Stock
+    // Stock (sum of variant stock when the product has variants)
     stock: { type: Number, default: 0 },
+    sold: { type: Number, default: 0 },     // units sold (kept by lib/inventory), drives sort=popular
+    lowStockThreshold: { type: Number, min: 0, default: null }, // alert at or below (null = LOW_STOCK_THRESHOLD), see lib/stockAlerts.js
+
+    // Approved reviews, denormalized by lib/reviews.js for cards and listings
+    ratingAverage: { type: Number, default: 0 }, // 0 when unrated, else 1.0–5.0 (one decimal)
+    ratingCount: { type: Number, default: 0 },
+
+    // Variants: option axes (e.g. Size: S/M/L, Colour: Black/White) and their combinations
+    options: [{ _id: false, name: { type: String, trim: true }, values: [{ type: String, trim: true }] }],
+    variants: [VariantSchema],
   },
   { timestamps: true }
 );
 
 /* ----------------------------- Indexes & hooks ----------------------------- */
-// Ensure slug is lowercase if present
-ProductSchema.pre('save', function (next) {
+// Remember the stored slug so a change can be recorded in slugHistory
+ProductSchema.post('init', function () {
+  this.$locals.savedSlug = this.slug;
+});
+
+/**
+ * Slugs: generated from the title when missing or when the product is renamed
+ * (unless the admin set one explicitly), with -2, -3… on collision.
+ * A replaced slug moves to slugHistory so shared links still resolve.
+ */
+ProductSchema.pre('validate', async function () {
   if (this.slug) this.slug = this.slug.trim().toLowerCase();
+  const explicit = this.isModified('slug') && !!this.slug;
+  const renamed = !this.isNew && this.isModified('title');
+  if (this.slug && !explicit && !renamed) return;
+
+  const Product = this.constructor;
+  const isTaken = async (s) =>
+    !!(await Product.exists({ _id: { $ne: this._id }, $or: [{ slug: s }, { slugHistory: s }] }));
+
+  if (explicit) {
+    if (await isTaken(this.slug)) this.invalidate('slug', 'This slug is already in use', this.slug);
+  } else {
+    this.slug = await uniqueSlug(slugify(this.title), isTaken);
+  }
+
+  const previous = this.$locals.savedSlug;
+  const history = (this.slugHistory || []).filter(s => s !== this.slug);
+  if (previous && previous !== this.slug && !history.includes(previous)) history.push(previous);
+  this.slugHistory = history;
+});
+
+// Keep product stock in step with its variants
+ProductSchema.pre('save', function (next) {
+  if (this.variants?.length) {
+    this.stock = this.variants.reduce((s, v) => s + (Number(v.stock) || 0), 0);
+  }
   next();
 });
 
 // Add useful indexes
-ProductSchema.index({ title: 'text', desc: 'text', tags: 1, category: 1 });
+// Full-text search: title matches outrank tags, which outrank the description
+ProductSchema.index(
+  { title: 'text', tags: 'text', desc: 'text' },
+  { name: 'product_text', weights: { title: 10, tags: 5, desc: 1 }, default_language: 'english' }
+);
+ProductSchema.index({ status: 1, publishAt: 1, unpublishAt: 1 });
+ProductSchema.index({ categoryId: 1 });
+ProductSchema.index({ category: 1 });
+ProductSchema.index({ tags: 1 });
+ProductSchema.index({ slugHistory: 1 });
+// List sorts (each paired with _id for keyset pagination)
+ProductSchema.index({ createdAt: -1, _id: -1 });
+ProductSchema.index({ price: 1, _id: 1 });
+ProductSchema.index({ sold: -1, _id: -1 });
+// SKUs are unique across the whole catalog
+ProductSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 /* ---------------------------- Clean JSON output ---------------------------- */
 ProductSchema.set('toJSON', {
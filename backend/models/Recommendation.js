@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+/**
+ * Precomputed "frequently bought together" list for one product
+ * (rebuilt periodically by lib/recommendations.js from order history).
+ */
+const RecommendationSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true, unique: true },
+    related: [{
+      _id: false,
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      orders: Number, // orders containing both products
+      score: Number,  // the same orders weighted by recency
+    }],
+    computedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+/* ----------------------------- Export Model ----------------------------- */
+export default mongoose.models.Recommendation || mongoose.model('Recommendation', RecommendationSchema);
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+/* ------------------------------ Return photos ------------------------------ */
+// Same asset shape as Product.imageAssets (see lib/storage.js)
+const PhotoSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    provider: { type: String, enum: ['cloudinary', 'local'], required: true },
+    url: { type: String, required: true },
+    sizes: { thumb: String, card: String, zoom: String },
+  },
+  { _id: false }
+);
+
+// requested → approved | rejected; approved → received (stock goes back); received → refunded
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+export const RETURN_REASONS = ['damaged', 'wrong_item', 'not_as_described', 'wrong_size', 'changed_mind', 'other'];
+
+/**
+ * A customer's request to send back some order lines (lib/returns.js), and the refunds paid on it.
+ * Each refund gets a credit note number; its PDF is rebuilt on demand from this document.
+ */
+const ReturnRequestSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true },          // RMA-YYMM-NNNN
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderRef: { type: String, required: true },
+    customer: { name: String, phone: String, email: String }, // copied from the order for the queue and emails
+
+    items: [{
+      _id: false,
+      lineId: { type: String, required: true },         // see lib/shipments.js lineId()
+      productId: String,
+      sku: String,
+      title: String,                                    // "Tee (M / Black)" at the time of the order
+      qty: { type: Number, required: true, min: 1 },
+      unitPrice: { type: Number, default: 0 },          // price the customer paid
+      reason: { type: String, enum: RETURN_REASONS, required: true },
+      restocked: { type: Number, default: 0 },          // units put back into stock on receipt
+    }],
+    comment: { type: String, default: '', trim: true },
+    photos: [PhotoSchema],
+
+    status: { type: String, enum: RETURN_STATUSES, default: 'requested' },
+    // from / to, who and why, oldest first (same shape as Order.history)
+    history: [{
+      _id: false,
+      from: String,
+      to: String,
+      actor: String,
+      note: String,
+      at: { type: Date, default: Date.now },
+    }],
+
+    refunds: [{
+      amount: { type: Number, required: true, min: 0 },
+      method: { type: String, required: true },         // e.g. "Orange Money", "Cash", "Store credit"
+      reference: { type: String, default: '' },         // transaction id / receipt number
+      note: { type: String, default: '' },
+      creditNote: { type: String, required: true },     // CN-YYYY-NNNNN
+      by: String,
+      at: { type: Date, default: Date.now },
+    }],
+    refundedTotal: { type: Number, default: 0 },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+/* -------------------------------- Indexes -------------------------------- */
+ReturnRequestSchema.index({ number: 1 }, { unique: true });
+ReturnRequestSchema.index({ order: 1, createdAt: 1 });
+ReturnRequestSchema.index({ status: 1, createdAt: 1 });
+ReturnRequestSchema.index({ 'refunds.creditNote': 1 });
+
+/* ---------------------------- Clean JSON output ---------------------------- */
+ReturnRequestSchema.set('toJSON', {
+  transform(_doc, ret) {
+    ret.id = ret._id?.toString();
+    delete ret._id;
+    return ret;
+  },
+});
+
+/* ----------------------------- Export Model ----------------------------- */
+export default mongoose.models.ReturnRequest || mongoose.model('ReturnRequest', ReturnRequestSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/* ------------------------------ Review photos ------------------------------ */
+// Same asset shape as Product.imageAssets (see lib/storage.js)
+const PhotoSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    provider: { type: String, enum: ['cloudinary', 'local'], required: true },
+    url: { type: String, required: true },
+    sizes: { thumb: String, card: String, zoom: String },
+  },
+  { _id: false }
+);
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const ReviewSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    productTitle: { type: String, default: '' }, // for the moderation queue
+
+    // Proof of purchase: the order the reviewer identified with (ref + phone/email)
+    orderRef: { type: String, required: true },
+    sku: { type: String, default: '' },
+    variant: { type: String, default: '' },
+    author: { type: String, default: '' }, // display name, e.g. "Aminata K."
+
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    title: { type: String, default: '', trim: true },
+    text: { type: String, default: '', trim: true },
+    photos: [PhotoSchema],
+
+    // Moderation: only approved reviews are public and counted in the product rating
+    status: { type: String, enum: REVIEW_STATUSES, default: 'pending' },
+    moderationNote: { type: String, default: '' },
+    moderatedAt: Date,
+  },
+  { timestamps: true }
+);
+
+/* -------------------------------- Indexes -------------------------------- */
+// One review per product per order
+ReviewSchema.index({ product: 1, orderRef: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: 1 });
+
+/* ---------------------------- Clean JSON output ---------------------------- */
+ReviewSchema.set('toJSON', {
+  versionKey: false,
+  transform(_doc, ret) {
+    ret.id = ret._id?.toString();
+    delete ret._id;
+    return ret;
+  },
+});
+
+/* ----------------------------- Export Model ----------------------------- */
+export default mongoose.models.Review || mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+/* ------------------------------- Sale window ------------------------------- */
+// A scheduled promotion on a product or a category (categories cover their subcategories).
+// Exactly one of percentOff / amountOff / price is set; `price` is only allowed on products.
+// The effective price is computed per request by lib/promotions.js — `price` itself is never changed.
+const SaleWindowSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, default: '' },  // shown to shoppers, e.g. "Weekend sale"
+    percentOff: { type: Number, min: 0, max: 100 },
+    amountOff: { type: Number, min: 0 },
+    price: { type: Number, min: 0 },                  // fixed sale price
+    startsAt: { type: Date, required: true },
+    endsAt: {
+      type: Date,
+      required: true,
+      validate: {
+        validator(v) { return !this.startsAt || v > this.startsAt; },
+        message: 'The sale must end after it starts',
+      },
+    },
+  },
+  { _id: false }
+);
+
+export default SaleWindowSchema;
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+/**
+ * A low / out-of-stock alert already sent for one product or variant (lib/stockAlerts.js).
+ * Its existence suppresses repeat alerts; it is deleted once the item is restocked above its threshold.
+ */
+const StockAlertSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    sku: { type: String, default: '' },                  // '' for products without variants
+    level: { type: String, enum: ['low', 'out'], required: true },
+    stock: Number,                                        // stock when the alert was sent
+    threshold: Number,
+    alertedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+/* ----------------------------- Indexes ----------------------------- */
+StockAlertSchema.index({ product: 1, sku: 1 }, { unique: true });
+
+/* ----------------------------- Export Model ----------------------------- */
+export default mongoose.models.StockAlert || mongoose.model('StockAlert', StockAlertSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+export const SUBSCRIPTION_CHANNELS = ['email', 'whatsapp'];
+
+/**
+ * A shopper waiting for a sold-out product (or one of its variants) to come back (lib/backInStock.js).
+ * One document per product/sku and contact; subscribing with both email and phone creates two.
+ */
+const StockSubscriptionSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    sku: { type: String, default: '' },                    // '' for the product as a whole
+    channel: { type: String, enum: SUBSCRIPTION_CHANNELS, required: true },
+    contact: { type: String, required: true },             // lower-cased email or +E.164 phone
+    token: { type: String, required: true },               // unsubscribe link
+    status: { type: String, enum: ['waiting', 'notified', 'unsubscribed'], default: 'waiting' },
+    createdAt: { type: Date, default: Date.now },
+    notifiedAt: { type: Date, default: null },
+  },
+  { versionKey: false }
+);
+
+/* ----------------------------- Indexes ----------------------------- */
+StockSubscriptionSchema.index({ product: 1, sku: 1, contact: 1 }, { unique: true });
+StockSubscriptionSchema.index({ status: 1, product: 1 });
+StockSubscriptionSchema.index({ contact: 1, notifiedAt: -1 });
+StockSubscriptionSchema.index({ token: 1 }, { unique: true });
+
+/* ----------------------------- Export Model ----------------------------- */
+export default mongoose.models.StockSubscription || mongoose.model('StockSubscription', StockSubscriptionSchema);
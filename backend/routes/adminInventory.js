@@ -0,0 +1,168 @@
+/* =======================
+   Inventory router
+   Mounted at /api/admin/inventory (admin only)
+   ======================= */
+import express from 'express';
+import { z } from 'zod';
+import Product from '../models/Product.js';
+import InventoryMovement, { MOVEMENT_REASONS } from '../models/InventoryMovement.js';
+import { requireAdmin, adminUser } from '../middleware/auth.js';
+import { sendValidationError } from '../lib/validation.js';
+import { variantLabel } from '../lib/pricing.js';
+import { adjustStock, reconcileStock, InventoryError } from '../lib/inventory.js';
+import { lowStockItems, watchStock, DEFAULT_THRESHOLD } from '../lib/stockAlerts.js';
+import { stockDemand } from '../lib/backInStock.js';
+
+const router = express.Router();
+router.use(requireAdmin);
+
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''));
+
+// Reasons an admin can record by hand (sales and cancellations come from orders)
+const MANUAL_REASONS = ['adjustment', 'stock_count', 'return'];
+
+const AdjustmentSchema = z.object({
+  productId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Choose a product'),
+  sku: z.string().trim().max(64).optional().default(''),
+  reason: z.enum(MANUAL_REASONS, { errorMap: () => ({ message: `Reason must be one of: ${MANUAL_REASONS.join(', ')}` }) }),
+  delta: z.coerce.number().int('Quantity must be a whole number').optional(),
+  count: z.coerce.number().int('Count must be a whole number').nonnegative('Count cannot be negative').optional(),
+  note: z.string().trim().max(500).optional().default(''),
+}).superRefine((a, ctx) => {
+  if (a.reason === 'stock_count' && a.count === undefined) {
+    ctx.addIssue({ code: 'custom', path: ['count'], message: 'Enter the counted stock' });
+  }
+  if (a.reason !== 'stock_count' && !a.delta) {
+    ctx.addIssue({ code: 'custom', path: ['delta'], message: 'Enter a quantity other than 0' });
+  }
+  if (a.reason === 'return' && a.delta < 0) {
+    ctx.addIssue({ code: 'custom', path: ['delta'], message: 'Returned quantity must be positive' });
+  }
+});
+
+/**
+ * GET /api/admin/inventory/low-stock
+ * Every published product / variant at or below its low-stock threshold, lowest stock first.
+ * Returns: { ok, defaultThreshold, total, items:[{ productId, title, slug, sku, variant, stock, threshold, level:'low'|'out', alertedAt }] }
+ */
+router.get('/low-stock', async (_req, res) => {
+  try {
+    const items = await lowStockItems();
+    res.json({ ok: true, defaultThreshold: DEFAULT_THRESHOLD, total: items.length, items });
+  } catch (e) {
+    console.error('GET /api/admin/inventory/low-stock error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch low-stock items' });
+  }
+});
+
+/**
+ * GET /api/admin/inventory/demand
+ * Shoppers waiting for a "back in stock" message, per product / variant, most wanted first.
+ * Returns: { ok, total, items:[{ productId, title, slug, sku, variant, stock, waiting, since }] }
+ */
+router.get('/demand', async (_req, res) => {
+  try {
+    const items = await stockDemand();
+    res.json({ ok: true, total: items.length, items });
+  } catch (e) {
+    console.error('GET /api/admin/inventory/demand error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch demand' });
+  }
+});
+
+/**
+ * GET /api/admin/inventory/products/:id/movements
+ * Query: sku, reason, page, pageSize (max 100)
+ * Returns: { ok, product:{ id, title, stock, variants:[{ sku, variant, stock }] }, total, movements } (newest first)
+ */
+router.get('/products/:id/movements', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isObjectId(id)) return res.status(404).json({ ok: false, error: 'Product not found' });
+    const product = await Product.findById(id, { title: 1, stock: 1, options: 1, variants: 1 }).lean();
+    if (!product) return res.status(404).json({ ok: false, error: 'Product not found' });
+
+    const filter = { product: product._id };
+    if (typeof req.query.sku === 'string') filter.sku = req.query.sku;
+    if (req.query.reason) {
+      if (!MOVEMENT_REASONS.includes(req.query.reason)) {
+        return res.status(400).json({ ok: false, error: 'Validation failed', fields: { reason: `Reason must be one of: ${MOVEMENT_REASONS.join(', ')}` } });
+      }
+      filter.reason = req.query.reason;
+    }
+    const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize) || 50));
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * pageSize).limit(pageSize),
+      InventoryMovement.countDocuments(filter),
+    ]);
+    res.json({
+      ok: true,
+      product: {
+        id: String(product._id),
+        title: product.title,
+        stock: product.stock || 0,
+        variants: (product.variants || []).map(v => ({ sku: v.sku, variant: variantLabel(v, product.options), stock: v.stock || 0 })),
+      },
+      total,
+      movements,
+    });
+  } catch (e) {
+    console.error('GET /api/admin/inventory/products/:id/movements error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch stock history' });
+  }
+});
+
+/**
+ * POST /api/admin/inventory/adjustments
+ * Body: { productId, sku?, reason: adjustment|return (with delta, e.g. -2 damaged, 3 returned)
+ *                              | stock_count (with count = units physically on hand), note? }
+ * Returns: 201 { ok, movement, stock } | 400 | 404 | 409 (would go below 0, or stock moved during a count)
+ */
+router.post('/adjustments', async (req, res) => {
+  const parsed = AdjustmentSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const { productId, sku, reason, delta, count, note } = parsed.data;
+    const result = await adjustStock({
+      productId, sku, reason, note, user: adminUser(),
+      ...(reason === 'stock_count' ? { count } : { delta }),
+    });
+    watchStock([productId]);
+    res.status(201).json({ ok: true, ...result });
+  } catch (e) {
+    if (e instanceof InventoryError) {
+      return res.status(e.status).json({ ok: false, error: e.message, code: e.code, ...e.details });
+    }
+    console.error('POST /api/admin/inventory/adjustments error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to adjust stock' });
+  }
+});
+
+/**
+ * GET  /api/admin/inventory/reconcile?product=<id>  — products whose stock differs from their ledger balance
+ * POST /api/admin/inventory/reconcile { productId? } — record opening balances so the ledger matches stock
+ * Returns: { ok, total, mismatches:[{ productId, title, sku, stock, ledger, difference }], fixed? }
+ */
+router.get('/reconcile', async (req, res) => {
+  try {
+    const productId = isObjectId(req.query.product) ? req.query.product : undefined;
+    const mismatches = await reconcileStock({ productId });
+    res.json({ ok: true, total: mismatches.length, mismatches });
+  } catch (e) {
+    console.error('GET /api/admin/inventory/reconcile error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to reconcile stock' });
+  }
+});
+router.post('/reconcile', async (req, res) => {
+  try {
+    const productId = isObjectId(req.body?.productId) ? req.body.productId : undefined;
+    const mismatches = await reconcileStock({ productId, fix: true, user: adminUser() });
+    res.json({ ok: true, total: mismatches.length, mismatches, fixed: mismatches.length });
+  } catch (e) {
+    console.error('POST /api/admin/inventory/reconcile error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to reconcile stock' });
+  }
+});
+
+export default router;
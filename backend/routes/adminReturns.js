@@ -0,0 +1,214 @@
+/* =======================
+   Returns (RMA) admin router
+   Mounted at /api/admin/returns (admin only); the workflow lives in lib/returns.js
+   ======================= */
+import express from 'express';
+import { z } from 'zod';
+import Order from '../models/Order.js';
+import ReturnRequest, { RETURN_STATUSES } from '../models/ReturnRequest.js';
+import { requireAdmin, adminUser } from '../middleware/auth.js';
+import { sendValidationError } from '../lib/validation.js';
+import { escapeRegex } from '../lib/search.js';
+import { InventoryError } from '../lib/inventory.js';
+import {
+  approveReturn, rejectReturn, receiveReturn, refundReturn, returnValue, refundableAmount, emailCustomer, ReturnError,
+} from '../lib/returns.js';
+import { buildCreditNotePdf } from '../lib/creditNote.js';
+
+const router = express.Router();
+router.use(requireAdmin);
+
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''));
+// Returns someone still has to act on
+const OPEN_STATUSES = ['requested', 'approved', 'received'];
+
+const NoteSchema = z.object({
+  note: z.string().trim().max(1000).optional().default(''),
+});
+const ReceiveSchema = NoteSchema.extend({
+  // units per line that can go back on sale; lines left out are restocked in full
+  restock: z.record(z.coerce.number().int().min(0)).optional().default({}),
+});
+const RefundSchema = z.object({
+  amount: z.coerce.number({ invalid_type_error: 'Amount must be a number' }).positive('Amount must be more than 0'),
+  method: z.string({ required_error: 'Refund method is required' }).trim().min(1, 'Refund method is required').max(60),
+  reference: z.string().trim().max(120).optional().default(''),
+  note: z.string().trim().max(1000).optional().default(''),
+});
+
+const withValue = (r) => ({ ...r, id: String(r._id), value: returnValue(r) });
+// Received returns also say what's left to refund, delivery fee included for the order's last one
+const withRefundable = async (r) => (
+  ['received', 'refunded'].includes(r.status) ? { ...withValue(r), ...await refundableAmount(r) } : withValue(r)
+);
+
+function sendReturnError(res, e, what) {
+  if (e instanceof ReturnError || e instanceof InventoryError) {
+    return res.status(e.status).json({ ok: false, error: e.message, code: e.code, ...(e.details || {}) });
+  }
+  console.error(`${what} error:`, e);
+  return res.status(500).json({ ok: false, error: 'Failed to update return' });
+}
+
+/**
+ * GET /api/admin/returns
+ * Query: status (open|all|requested|approved|rejected|received|refunded, default open), q (RMA / order ref / name / phone),
+ *        page, pageSize (max 100)
+ * Open returns are oldest first so nothing waits forever; other lists are newest first.
+ * Returns: { ok, total, returns } (each with `value`, what its items cost the customer; received ones also with
+ *          `refundable` and `delivery`, see refundableAmount in lib/returns.js)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = String(req.query.status || 'open');
+    const filter = {};
+    if (status === 'open') filter.status = { $in: OPEN_STATUSES };
+    else if (status !== 'all') {
+      if (!RETURN_STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: 'Validation failed', fields: { status: `Status must be one of: open, all, ${RETURN_STATUSES.join(', ')}` } });
+      }
+      filter.status = status;
+    }
+    const q = String(req.query.q || '').trim();
+    if (q) {
+      const rx = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ number: rx }, { orderRef: rx }, { 'customer.name': rx }, { 'customer.phone': rx }];
+    }
+
+    const limit = Math.min(100, Math.max(1, Number(req.query.pageSize) || 50));
+    const skip = (Math.max(1, Number(req.query.page) || 1) - 1) * limit;
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(filter).sort({ createdAt: status === 'open' ? 1 : -1 }).skip(skip).limit(limit).lean(),
+      ReturnRequest.countDocuments(filter),
+    ]);
+    res.json({ ok: true, total, returns: await Promise.all(returns.map(withRefundable)) });
+  } catch (e) {
+    console.error('GET /api/admin/returns error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch returns' });
+  }
+});
+
+/**
+ * GET /api/admin/returns/:id
+ * Returns: { ok, return, order:{ id, ref, status, paymentStatus, grandTotal, refunded, netTotal } }
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Return not found' });
+    const ret = await ReturnRequest.findById(req.params.id).lean();
+    if (!ret) return res.status(404).json({ ok: false, error: 'Return not found' });
+    const order = await Order.findById(ret.order, { ref: 1, status: 1, paymentStatus: 1, info: 1 }).lean();
+    res.json({
+      ok: true,
+      return: await withRefundable(ret),
+      order: order && {
+        id: String(order._id), ref: order.ref, status: order.status, paymentStatus: order.paymentStatus,
+        grandTotal: order.info?.grandTotal ?? 0, refunded: order.info?.refunded ?? 0,
+        netTotal: order.info?.netTotal ?? order.info?.grandTotal ?? 0,
+      },
+    });
+  } catch (e) {
+    console.error('GET /api/admin/returns/:id error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch return' });
+  }
+});
+
+/**
+ * POST /api/admin/returns/:id/approve | /reject
+ * Body: { note? } (shown to the customer in the email and on the tracking page)
+ * Returns: { ok, return } | 404 | 409 INVALID_TRANSITION / RETURN_CHANGED
+ */
+const decide = (action, move, email) => async (req, res) => {
+  if (!isObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Return not found' });
+  const parsed = NoteSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const ret = await move(req.params.id, { actor: adminUser(), note: parsed.data.note });
+    if (!ret) return res.status(404).json({ ok: false, error: 'Return not found' });
+    await emailCustomer(ret, { ...email, note: parsed.data.note });
+    res.json({ ok: true, return: withValue(ret) });
+  } catch (e) {
+    sendReturnError(res, e, `POST /api/admin/returns/:id/${action}`);
+  }
+};
+router.post('/:id/approve', decide('approve', approveReturn, {
+  subject: 'Your return is approved',
+  lines: ['Your return has been approved. Please send the items back to us with the return number on the parcel.'],
+}));
+router.post('/:id/reject', decide('reject', rejectReturn, {
+  subject: 'About your return request',
+  lines: ['We are sorry, we can’t accept this return.'],
+}));
+
+/**
+ * POST /api/admin/returns/:id/receive
+ * Body: { note?, restock?:{ [lineId]: units } } — units that go back on sale (default: all of them)
+ * Returns: { ok, return } | 404 | 409 INVALID_TRANSITION / RETURN_CHANGED
+ */
+router.post('/:id/receive', async (req, res) => {
+  if (!isObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Return not found' });
+  const parsed = ReceiveSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const ret = await receiveReturn(req.params.id, { ...parsed.data, actor: adminUser() });
+    if (!ret) return res.status(404).json({ ok: false, error: 'Return not found' });
+    res.json({ ok: true, return: await withRefundable(ret) });
+  } catch (e) {
+    sendReturnError(res, e, 'POST /api/admin/returns/:id/receive');
+  }
+});
+
+/**
+ * POST /api/admin/returns/:id/refunds
+ * Body: { amount, method, reference?, note? } — up to the return's `refundable` (its value, plus delivery on the
+ *       order's last return); less is a partial refund
+ * Emails the customer the credit note. The order's payment status becomes Refunded once nothing is left of it.
+ * Returns: 201 { ok, refund, return, order:{ refunded, netTotal, paymentStatus } }
+ *          | 404 | 409 NOT_RECEIVED / REFUND_TOO_LARGE / REFUND_EXCEEDS_ORDER / RETURN_CHANGED
+ */
+router.post('/:id/refunds', async (req, res) => {
+  if (!isObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Return not found' });
+  const parsed = RefundSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const result = await refundReturn(req.params.id, parsed.data, { actor: adminUser() });
+    if (!result) return res.status(404).json({ ok: false, error: 'Return not found' });
+    const { ret, refund, order } = result;
+
+    const pdf = await buildCreditNotePdf(ret, refund.creditNote);
+    await emailCustomer(ret, {
+      subject: 'Your refund',
+      lines: [`We have refunded NLe ${refund.amount} by ${refund.method}${refund.reference ? ` (ref ${refund.reference})` : ''}.`,
+        `Your credit note ${refund.creditNote} is attached.`],
+      note: refund.note,
+      attachments: [{ filename: `${refund.creditNote}.pdf`, content: pdf }],
+    });
+    res.status(201).json({
+      ok: true, refund, return: await withRefundable(ret),
+      order: { refunded: order?.info?.refunded ?? 0, netTotal: order?.info?.netTotal ?? 0, paymentStatus: order?.paymentStatus },
+    });
+  } catch (e) {
+    sendReturnError(res, e, 'POST /api/admin/returns/:id/refunds');
+  }
+});
+
+/**
+ * GET /api/admin/returns/:id/credit-notes/:number.pdf
+ * Returns: application/pdf | 404
+ */
+router.get('/:id/credit-notes/:number.pdf', async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Return not found' });
+    const ret = await ReturnRequest.findById(req.params.id).lean();
+    const pdf = ret && await buildCreditNotePdf(ret, String(req.params.number));
+    if (!pdf) return res.status(404).json({ ok: false, error: 'Credit note not found' });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${req.params.number}.pdf"`);
+    res.send(pdf);
+  } catch (e) {
+    console.error('GET /api/admin/returns/:id/credit-notes error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to build credit note' });
+  }
+});
+
+export default router;
@@ -0,0 +1,99 @@
+/* =======================
+   Review moderation router
+   Mounted at /api/admin/reviews (admin only)
+   ======================= */
+import express from 'express';
+import { z } from 'zod';
+import Review, { REVIEW_STATUSES } from '../models/Review.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { sendValidationError } from '../lib/validation.js';
+import { removeImages } from '../lib/storage.js';
+import { refreshProductRating } from '../lib/reviews.js';
+
+const router = express.Router();
+router.use(requireAdmin);
+
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''));
+
+const ModerateSchema = z.object({
+  status: z.enum(['approved', 'rejected'], { errorMap: () => ({ message: 'Status must be approved or rejected' }) }),
+  note: z.string().trim().max(500).optional().default(''),
+});
+
+/**
+ * GET /api/admin/reviews
+ * Query: status (pending|approved|rejected|all, default pending), product (id), page, pageSize (max 100)
+ * The queue is oldest first so nothing waits forever; other lists are newest first.
+ * Returns: { ok, total, reviews }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    const filter = {};
+    if (status !== 'all') {
+      if (!REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: 'Validation failed', fields: { status: `Status must be one of: all, ${REVIEW_STATUSES.join(', ')}` } });
+      }
+      filter.status = status;
+    }
+    if (isObjectId(req.query.product)) filter.product = req.query.product;
+
+    const limit = Math.min(100, Math.max(1, Number(req.query.pageSize) || 50));
+    const skip = (Math.max(1, Number(req.query.page) || 1) - 1) * limit;
+    const [reviews, total] = await Promise.all([
+      Review.find(filter).sort({ createdAt: status === 'pending' ? 1 : -1 }).skip(skip).limit(limit).lean(),
+      Review.countDocuments(filter),
+    ]);
+    res.json({ ok: true, total, reviews: reviews.map(r => ({ ...r, id: String(r._id) })) });
+  } catch (e) {
+    console.error('GET /api/admin/reviews error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch reviews' });
+  }
+});
+
+/**
+ * PATCH /api/admin/reviews/:id
+ * Body: { status:'approved'|'rejected', note? }
+ * Returns: { ok, review, rating:{ average, count } } (the product's refreshed rating)
+ */
+router.patch('/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ ok: false, error: 'Review not found' });
+  const parsed = ModerateSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const review = await Review.findByIdAndUpdate(
+      id,
+      { $set: { status: parsed.data.status, moderationNote: parsed.data.note, moderatedAt: new Date() } },
+      { new: true }
+    );
+    if (!review) return res.status(404).json({ ok: false, error: 'Review not found' });
+    const rating = await refreshProductRating(review.product);
+    res.json({ ok: true, review, rating });
+  } catch (e) {
+    console.error('PATCH /api/admin/reviews/:id error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to update review' });
+  }
+});
+
+/**
+ * DELETE /api/admin/reviews/:id
+ * Removes the review and its photos. Returns: { ok, id }
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isObjectId(id)) return res.status(404).json({ ok: false, error: 'Review not found' });
+
+    const deleted = await Review.findByIdAndDelete(id).lean();
+    if (!deleted) return res.status(404).json({ ok: false, error: 'Review not found' });
+    await removeImages(deleted.photos || []);
+    if (deleted.status === 'approved') await refreshProductRating(deleted.product);
+    res.json({ ok: true, id });
+  } catch (e) {
+    console.error('DELETE /api/admin/reviews/:id error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to delete review' });
+  }
+});
+
+export default router;
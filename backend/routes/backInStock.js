@@ -0,0 +1,41 @@
+/* =======================
+   Back-in-stock router
+   Mounted at /api/back-in-stock (links in back-in-stock emails / WhatsApp messages)
+   ======================= */
+import express from 'express';
+import { unsubscribe } from '../lib/backInStock.js';
+
+const router = express.Router();
+
+const SHOP_URL = process.env.SHOP_URL || 'https://www.lwgpartnersnetwork.com';
+
+// Opened from an email or chat, so answer with a small page rather than JSON
+const page = (title, text) => `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${title} – LWG</title></head>
+<body style="font-family:system-ui,Segoe UI,Roboto,Arial;background:#0b1220;color:#e5e7eb;display:grid;place-items:center;min-height:90vh;margin:0">
+<main style="max-width:420px;padding:24px;text-align:center"><h1 style="font-size:22px">${title}</h1>
+<p style="color:#9ca3af">${text}</p><p><a href="${SHOP_URL}" style="color:#93c5fd">Back to the store</a></p></main>
+</body></html>`;
+
+/**
+ * GET /api/back-in-stock/unsubscribe?token=...
+ * Stops every waiting back-in-stock alert for the contact the token was sent to.
+ * Returns: 200 text/html | 404 text/html (unknown or expired link)
+ */
+router.get('/unsubscribe', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  try {
+    const stopped = await unsubscribe(req.query.token);
+    if (stopped === null) {
+      return res.status(404).type('html').send(page('Link not recognised', 'This unsubscribe link is invalid or has expired.'));
+    }
+    res.type('html').send(page('You are unsubscribed',
+      'We won’t send you any more back-in-stock alerts. You can ask again from any sold-out product page.'));
+  } catch (e) {
+    console.error('GET /api/back-in-stock/unsubscribe error:', e);
+    res.status(500).type('html').send(page('Something went wrong', 'Please try the link again in a few minutes.'));
+  }
+});
+
+export default router;
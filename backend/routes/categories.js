@@ -0,0 +1,182 @@
+/* =======================
+   Categories router
+   ======================= */
+import express from 'express';
+import { z } from 'zod';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import { requireAdmin, isAdmin } from '../middleware/auth.js';
+import { visibleFilter } from '../lib/lifecycle.js';
+import { saleWindowSchema } from '../lib/promotions.js';
+import { sendValidationError, mongooseFieldErrors } from '../lib/validation.js';
+import { categoryView, findCategory, withDescendantIds, breadcrumbsFor, buildTree, flattenTree } from '../lib/categories.js';
+
+const router = express.Router();
+
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''));
+
+/* =======================
+   Zod validation
+   ======================= */
+const CategoryInputSchema = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required').max(80),
+  slug: z.string().trim().toLowerCase()
+    .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain a-z, 0-9 and single dashes')
+    .optional(),
+  description: z.string().max(2000).optional().default(''),
+  image: z.string().trim().url('Image must be a valid URL').or(z.literal('')).optional().default(''),
+  parent: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Parent must be a category id').nullable().or(z.literal('')).optional(),
+  position: z.coerce.number().int().optional().default(0),
+  sales: z.array(saleWindowSchema({ fixedPrice: false })).max(20).optional().default([]),
+});
+const CategoryPatchSchema = CategoryInputSchema.partial();
+
+function sendWriteError(res, e, label) {
+  if (e?.code === 11000) {
+    return res.status(409).json({ ok: false, error: 'Duplicate value', fields: { slug: 'This slug is already in use' } });
+  }
+  if (e?.name === 'ValidationError') {
+    return res.status(400).json({ ok: false, error: 'Validation failed', fields: mongooseFieldErrors(e) });
+  }
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ ok: false, error: 'Failed to save category' });
+}
+
+/** Live product counts per category id (direct assignments only; buildTree rolls them up) */
+async function productCounts() {
+  const rows = await Product.aggregate([
+    { $match: { categoryId: { $ne: null }, ...visibleFilter() } },
+    { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map(r => [String(r._id), r.count]));
+}
+
+/**
+ * GET /api/categories
+ * Query: flat=1 (depth-first list with `depth`), counts=1 (product counts incl. descendants)
+ * Returns: { ok, categories } — `sales` lists running promotions (the full schedule for admins)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const withCounts = req.query.counts === '1';
+    const [all, counts] = await Promise.all([
+      Category.find().lean(),
+      withCounts ? productCounts() : null,
+    ]);
+    const tree = buildTree(all, counts, { admin: isAdmin(req) });
+    res.json({ ok: true, categories: req.query.flat === '1' ? flattenTree(tree) : tree });
+  } catch (e) {
+    console.error('GET /api/categories error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch categories' });
+  }
+});
+
+/**
+ * GET /api/categories/:idOrSlug
+ * Landing data: { ok, category, breadcrumbs, children, productCount } (live products, including descendants)
+ */
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const category = await findCategory(req.params.idOrSlug);
+    if (!category) return res.status(404).json({ ok: false, error: 'Category not found' });
+
+    const ids = await withDescendantIds(category);
+    const [breadcrumbs, children, productCount] = await Promise.all([
+      breadcrumbsFor(category._id),
+      Category.find({ parent: category._id }).sort({ position: 1, name: 1 }).lean(),
+      Product.countDocuments({ categoryId: { $in: ids }, ...visibleFilter() }),
+    ]);
+    const admin = isAdmin(req);
+    res.json({
+      ok: true,
+      category: categoryView(category, { admin }),
+      breadcrumbs,
+      children: children.map(c => categoryView(c, { admin })),
+      productCount,
+    });
+  } catch (e) {
+    console.error('GET /api/categories/:idOrSlug error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch category' });
+  }
+});
+
+/* =======================
+   Admin (Bearer ADMIN_TOKEN)
+   ======================= */
+
+/**
+ * POST /api/categories
+ * Body: { name, slug?, description?, image?, parent?, position?, sales? }
+ *   sales: [{ name?, percentOff | amountOff, startsAt, endsAt }] — applies to every product below this category
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  const parsed = CategoryInputSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const category = await Category.create({ ...parsed.data, parent: parsed.data.parent || null });
+    res.status(201).json({ ok: true, category });
+  } catch (e) {
+    sendWriteError(res, e, 'POST /api/categories');
+  }
+});
+
+/**
+ * PUT /api/categories/:id   (full replace of editable fields)
+ * PATCH /api/categories/:id (partial; moving = changing `parent`)
+ * Renames are copied onto products' `category` name.
+ */
+async function updateCategory(req, res, schema) {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ ok: false, error: 'Category not found' });
+
+  const parsed = schema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const category = await Category.findById(id);
+    if (!category) return res.status(404).json({ ok: false, error: 'Category not found' });
+
+    const data = { ...parsed.data };
+    if ('parent' in data) data.parent = data.parent || null;
+    category.set(data);
+    const renamed = category.isModified('name');
+    await category.save();
+    if (renamed) await Product.updateMany({ categoryId: category._id }, { $set: { category: category.name } });
+    res.json({ ok: true, category });
+  } catch (e) {
+    sendWriteError(res, e, `${req.method} /api/categories/:id`);
+  }
+}
+router.put('/:id', requireAdmin, (req, res) => updateCategory(req, res, CategoryInputSchema));
+router.patch('/:id', requireAdmin, (req, res) => updateCategory(req, res, CategoryPatchSchema));
+
+/**
+ * DELETE /api/categories/:id
+ * Refused (409) while the category has subcategories or products.
+ */
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isObjectId(id)) return res.status(404).json({ ok: false, error: 'Category not found' });
+
+    const [children, products] = await Promise.all([
+      Category.countDocuments({ parent: id }),
+      Product.countDocuments({ categoryId: id }),
+    ]);
+    if (children || products) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Move or delete its subcategories and products first',
+        children,
+        products,
+      });
+    }
+    const deleted = await Category.findByIdAndDelete(id).lean();
+    if (!deleted) return res.status(404).json({ ok: false, error: 'Category not found' });
+    res.json({ ok: true, id });
+  } catch (e) {
+    console.error('DELETE /api/categories/:id error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to delete category' });
+  }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+/* =======================
+   Product images router
+   Mounted at /api/products/:id/images (admin only)
+   ======================= */
+import express from 'express';
+import { z } from 'zod';
+import Product from '../models/Product.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { saveImage, removeImages, detachUnusedAssets, StorageError } from '../lib/storage.js';
+
+const router = express.Router({ mergeParams: true });
+router.use(requireAdmin);
+
+const MAX_GALLERY = 20;
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''));
+
+const UploadSchema = z.object({
+  files: z.array(z.object({
+    filename: z.string().max(200).optional(),
+    mime: z.string().optional(),
+    base64: z.string().min(1, 'File is empty'),
+  })).min(1, 'Choose at least one image').max(10, 'Upload at most 10 images at a time'),
+});
+
+const GallerySchema = z.object({
+  images: z.array(z.string().trim().min(1)).max(MAX_GALLERY, `A product can have at most ${MAX_GALLERY} images`),
+  cover: z.string().trim().optional(),
+});
+
+async function loadProduct(req, res) {
+  const { id } = req.params;
+  const product = isObjectId(id) ? await Product.findById(id) : null;
+  if (!product) res.status(404).json({ ok: false, error: 'Product not found' });
+  return product;
+}
+
+/** Save, then delete files for any uploaded image the product stopped using */
+async function saveAndPrune(product) {
+  const unused = detachUnusedAssets(product);
+  await product.save();
+  await removeImages(unused);
+}
+
+/**
+ * POST /api/products/:id/images
+ * Body: { files:[{ filename, mime, base64 }] }  (max 10 per request, 5 MB each)
+ * Appends to the gallery; the first image becomes the cover if the product has none.
+ * Returns: { ok:true, product, uploaded:[asset] }
+ */
+router.post('/', async (req, res) => {
+  const parsed = UploadSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ ok: false, error: parsed.error.issues[0]?.message || 'Invalid upload' });
+  }
+  const uploaded = [];
+  try {
+    const product = await loadProduct(req, res);
+    if (!product) return;
+    if ((product.images || []).length + parsed.data.files.length > MAX_GALLERY) {
+      return res.status(400).json({ ok: false, error: `A product can have at most ${MAX_GALLERY} images` });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    for (const f of parsed.data.files) {
+      uploaded.push(await saveImage({ base64: f.base64, filename: f.filename || product.slug || 'product', baseUrl }));
+    }
+
+    product.images = [...(product.images || []), ...uploaded.map(a => a.url)];
+    product.imageAssets = [...(product.imageAssets || []), ...uploaded];
+    if (!product.image) product.image = uploaded[0].url;
+    await product.save();
+    res.status(201).json({ ok: true, product, uploaded });
+  } catch (e) {
+    await removeImages(uploaded); // don't leave orphaned files behind
+    if (e instanceof StorageError) return res.status(e.status).json({ ok: false, error: e.message, code: e.code });
+    console.error('POST /api/products/:id/images error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to upload images' });
+  }
+});
+
+/**
+ * PUT /api/products/:id/images
+ * Body: { images:[url], cover?:url }
+ * Reorders the gallery and/or sets the cover. Uploaded images left out are deleted from storage.
+ * Returns: { ok:true, product }
+ */
+router.put('/', async (req, res) => {
+  const parsed = GallerySchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ ok: false, error: parsed.error.issues[0]?.message || 'Invalid gallery' });
+  }
+  try {
+    const product = await loadProduct(req, res);
+    if (!product) return;
+
+    const { images, cover } = parsed.data;
+    const current = new Set(product.images || []);
+    const unknown = images.filter(u => !current.has(u));
+    if (unknown.length) {
+      return res.status(400).json({ ok: false, error: 'Images must already be in the gallery', unknown });
+    }
+    if (cover !== undefined && cover !== '' && !images.includes(cover)) {
+      return res.status(400).json({ ok: false, error: 'The cover must be one of the gallery images' });
+    }
+
+    product.images = [...new Set(images)];
+    if (cover !== undefined) product.image = cover;
+    else if (product.image && current.has(product.image) && !images.includes(product.image)) {
+      product.image = images[0] || ''; // the cover was removed: fall back to the first image
+    }
+    await saveAndPrune(product);
+    res.json({ ok: true, product });
+  } catch (e) {
+    console.error('PUT /api/products/:id/images error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to update gallery' });
+  }
+});
+
+/**
+ * DELETE /api/products/:id/images?url=<image url>
+ * Removes one image from the gallery (and from storage if it was uploaded).
+ * Returns: { ok:true, product }
+ */
+router.delete('/', async (req, res) => {
+  const url = String(req.query.url || '');
+  if (!url) return res.status(400).json({ ok: false, error: 'Provide the image url' });
+  try {
+    const product = await loadProduct(req, res);
+    if (!product) return;
+    if (!(product.images || []).includes(url) && product.image !== url) {
+      return res.status(404).json({ ok: false, error: 'Image not found on this product' });
+    }
+
+    product.images = (product.images || []).filter(u => u !== url);
+    if (product.image === url) product.image = product.images[0] || '';
+    await saveAndPrune(product);
+    res.json({ ok: true, product });
+  } catch (e) {
+    console.error('DELETE /api/products/:id/images error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to remove image' });
+  }
+});
+
+export default router;
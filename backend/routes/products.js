@@ -1,116 +1,682 @@
 /* =======================
-   Frontend helper
+   Products router
    ======================= */
-const PROD_API = 'https://lwg-api.onrender.com';
-const API_BASE =
-  (location.hostname === 'localhost' || location.hostname === '127.0.0.1')
-    ? 'http://localhost:5001'
-    : PROD_API;
-
-/**
- * Fetch a paginated list of products
- * @param {Object} params
- * @param {string} params.q        search query
- * @param {string} params.category product category
- * @param {number} params.min      min price
- * @param {number} params.max      max price
- * @param {number} params.page     page number
- * @param {number} params.pageSize number per page
- */
-export async function fetchProducts({ q='', category='', min, max, page=1, pageSize=12 } = {}) {
-  const qs = new URLSearchParams();
-  if (q) qs.set('q', q);
-  if (category) qs.set('category', category);
-  if (min) qs.set('min', min);
-  if (max) qs.set('max', max);
-  qs.set('page', page);
-  qs.set('pageSize', pageSize);
-
-  const url = `${API_BASE}/api/products?${qs.toString()}`;
-  const res = await fetch(url, { headers: { Accept: 'application/json' } });
-  if (!res.ok) throw new Error('HTTP ' + res.status);
-
-  const data = await res.json();
-  if (!data.ok) throw new Error(data.error || 'Failed to fetch products');
-
-  return data; // { ok:true, total, products:[...] }
+import express from 'express';
+import { z } from 'zod';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { requireAdmin, isAdmin, adminUser } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import { sendValidationError, mongooseFieldErrors } from '../lib/validation.js';
+import imagesRouter from './productImages.js';
+import reviewsRouter from './reviews.js';
+import Review from '../models/Review.js';
+import { relatedProducts } from '../lib/recommendations.js';
+import { detachUnusedAssets, removeImages } from '../lib/storage.js';
+import { escapeRegex, tokenize, correctQuery, highlight, invalidateVocabulary } from '../lib/search.js';
+import { findCategory, withDescendantIds, breadcrumbsFor, buildTree, flattenTree } from '../lib/categories.js';
+import { withEffectivePrices, saleWindowSchema } from '../lib/promotions.js';
+import { watchStock } from '../lib/stockAlerts.js';
+import { recordStockEdit } from '../lib/inventory.js';
+import InventoryMovement from '../models/InventoryMovement.js';
+import StockSubscription from '../models/StockSubscription.js';
+import { subscribe, unitStock, SubscriptionError } from '../lib/backInStock.js';
+import { PRODUCT_STATUSES, visibleFilter, statusFilter, lifecycleState, isLive, isResolvable } from '../lib/lifecycle.js';
+import {
+  clampPageSize, queryHash, encodeCursor, decodeCursor, sortValues, afterCursor, CursorError,
+} from '../lib/paginate.js';
+
+const router = express.Router();
+
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''));
+
+/* =======================
+   Zod validation
+   ======================= */
+const OptionAxisSchema = z.object({
+  name: z.string().trim().min(1, 'Option name is required').max(40),
+  values: z.array(z.string().trim().min(1).max(40)).min(1, 'Add at least one value').max(50),
+});
+
+const VariantInputSchema = z.object({
+  sku: z.string({ required_error: 'SKU is required' }).trim().min(1, 'SKU is required').max(64),
+  options: z.record(z.string().trim().min(1).max(40)).optional().default({}),
+  price: z.coerce.number({ invalid_type_error: 'Price must be a number' }).nonnegative('Price cannot be negative').optional(),
+  stock: z.coerce.number().int('Stock must be a whole number').nonnegative('Stock cannot be negative').optional(),
+  expectedStock: z.coerce.number().int().nonnegative().optional(), // stock the admin edited from, see stockGuard()
+  image: z.string().trim().url('Image must be a valid URL').or(z.literal('')).optional().default(''),
+});
+
+// '' / null clear the date
+const OptionalDateSchema = z.preprocess(
+  (v) => (v === '' || v === null ? null : v),
+  z.coerce.date({ errorMap: () => ({ message: 'Enter a valid date' }) }).nullable()
+).optional();
+
+const ProductFieldsSchema = z.object({
+  title: z.string({ required_error: 'Title is required' }).trim().min(1, 'Title is required').max(200),
+  price: z.coerce.number({ invalid_type_error: 'Price must be a number' }).nonnegative('Price cannot be negative'),
+  compareAtPrice: z.preprocess(
+    (v) => (v === '' ? null : v),
+    z.coerce.number({ invalid_type_error: 'Compare-at price must be a number' }).nonnegative('Compare-at price cannot be negative').nullable()
+  ).optional(),
+  sales: z.array(saleWindowSchema()).max(20).optional().default([]),
+  desc: z.string().max(5000).optional().default(''),
+  image: z.string().trim().url('Image must be a valid URL').or(z.literal('')).optional().default(''),
+  images: z.array(z.string().trim().url('Gallery images must be valid URLs')).max(20).optional().default([]),
+  categoryId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Choose a valid category').or(z.literal('')).nullable().optional(),
+  category: z.string().trim().max(80).optional().default(''),
+  tags: z.array(z.string().trim().min(1).max(40)).max(30).optional().default([]),
+  slug: z.string().trim().toLowerCase()
+    .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain a-z, 0-9 and single dashes')
+    .optional(),
+  // No default: a missing stock means "leave it" on updates, and the model's 0 on create
+  stock: z.coerce.number().int('Stock must be a whole number').nonnegative('Stock cannot be negative').optional(),
+  expectedStock: z.coerce.number().int().nonnegative().optional(),
+  lowStockThreshold: z.preprocess(
+    (v) => (v === '' ? null : v),
+    z.coerce.number().int('Threshold must be a whole number').nonnegative('Threshold cannot be negative').nullable()
+  ).optional(),
+  status: z.enum(PRODUCT_STATUSES, { errorMap: () => ({ message: `Status must be one of: ${PRODUCT_STATUSES.join(', ')}` }) }).optional(),
+  publishAt: OptionalDateSchema,
+  unpublishAt: OptionalDateSchema,
+  options: z.array(OptionAxisSchema).max(3).optional().default([]),
+  variants: z.array(VariantInputSchema).max(100).optional().default([]),
+});
+
+// "Notify me when available": an email and/or WhatsApp number (+countrycode, spaces allowed)
+const NotifyMeSchema = z.object({
+  email: z.string().trim().email('Enter a valid email').or(z.literal('')).optional().default(''),
+  phone: z.preprocess(
+    (v) => (typeof v === 'string' ? v.replace(/[\s()-]/g, '') : v),
+    z.string().regex(/^\+\d{8,15}$/, 'Enter a WhatsApp number with country code, e.g. +23276123456').or(z.literal(''))
+  ).optional().default(''),
+  sku: z.string().trim().max(64).optional().default(''),
+}).refine(d => d.email || d.phone, { path: ['email'], message: 'Enter an email or WhatsApp number' });
+
+/** SKUs must be unique and every variant must pick one listed value per option axis */
+function checkVariants(data, ctx) {
+  const variants = data.variants || [];
+  const seen = new Set();
+  variants.forEach((v, i) => {
+    const key = v.sku.toLowerCase();
+    if (seen.has(key)) ctx.addIssue({ code: 'custom', path: ['variants', i, 'sku'], message: 'Duplicate SKU' });
+    seen.add(key);
+  });
+  if (!data.options) return;
+  variants.forEach((v, i) => {
+    for (const axis of data.options) {
+      if (!axis.values.includes(v.options[axis.name])) {
+        ctx.addIssue({ code: 'custom', path: ['variants', i, 'options', axis.name], message: `Choose a ${axis.name} from: ${axis.values.join(', ')}` });
+      }
+    }
+  });
 }
 
+const ProductInputSchema = ProductFieldsSchema.superRefine(checkVariants);
+// PATCH accepts any subset of fields (defaults are skipped for absent keys)
+const ProductPatchSchema = ProductFieldsSchema.partial().superRefine(checkVariants);
+
+/** Map Mongo duplicate-key errors (slug, variant SKU) to a field-level 409 */
+function sendWriteError(res, e, label) {
+  if (e?.code === 11000) {
+    const field = Object.keys(e.keyPattern || e.keyValue || { slug: 1 })[0] || 'slug';
+    const label = field === 'variants.sku' ? 'SKU' : field;
+    return res.status(409).json({ ok: false, error: 'Duplicate value', fields: { [field]: `This ${label} is already in use` } });
+  }
+  if (e?.name === 'ValidationError') {
+    return res.status(400).json({ ok: false, error: 'Validation failed', fields: mongooseFieldErrors(e) });
+  }
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ ok: false, error: 'Failed to save product' });
+}
+
+/**
+ * Link the product to a Category document and copy its name into `category`.
+ * `categoryId` wins; without it a `category` name/slug (older clients) is matched
+ * against the collection, and an unknown name stays as free text.
+ * Returns a field error message, or null.
+ */
+async function applyCategory(data) {
+  if (data.categoryId) {
+    const cat = await Category.findById(data.categoryId, { name: 1 }).lean();
+    if (!cat) return 'Category not found';
+    data.category = cat.name;
+  } else if (data.categoryId === undefined && data.category !== undefined) {
+    const cat = data.category ? await findCategory(data.category) : null;
+    data.categoryId = cat?._id || null;
+    if (cat) data.category = cat.name;
+  } else if (data.categoryId !== undefined) {
+    data.categoryId = null;
+  }
+  return null;
+}
 
 /* =======================
-   Backend Express router
+   Catalog filters & facets
    ======================= */
-import express from 'express';
-import Product from '../models/Product.js';
+const truthy = (v) => v === '1' || v === 'true';
+const falsy = (v) => v === '0' || v === 'false';
 
-const router = express.Router();
+/**
+ * Split the list query into independent filter parts, so a facet can be counted
+ * without its own filter (picking a category still shows the other categories).
+ * The category part needs a lookup, see categoryPart().
+ */
+function filterParts({ q = '', tag = '', min, max, inStock } = {}) {
+  const parts = {};
+  if (String(q).trim()) parts.q = textQuery(q);
+  const tags = String(tag).split(',').map(t => t.trim()).filter(Boolean);
+  if (tags.length) parts.tag = { tags: { $all: tags } };
+  if (min || max) {
+    const price = {};
+    if (min) price.$gte = Number(min);
+    if (max) price.$lte = Number(max);
+    parts.price = { price };
+  }
+  if (truthy(inStock)) parts.stock = { stock: { $gt: 0 } };
+  else if (falsy(inStock)) parts.stock = { stock: { $lte: 0 } };
+  return parts;
+}
+
+/**
+ * ?category= accepts an id, slug or name. A known category matches its whole
+ * subtree; anything else falls back to the legacy free-text field.
+ */
+async function categoryPart(key) {
+  const k = String(key || '').trim();
+  if (!k) return null;
+  const cat = await findCategory(k);
+  if (!cat) return { category: k };
+  return { categoryId: { $in: await withDescendantIds(cat) } };
+}
+
+/* =======================
+   Search
+   ======================= */
+const textQuery = (q) => ({ $text: { $search: String(q).trim() } });
+
+/** Every term must appear (as a substring) in the title, description or tags */
+function substringQuery(q) {
+  const and = tokenize(q).map((t) => {
+    const re = { $regex: escapeRegex(t), $options: 'i' };
+    return { $or: [{ title: re }, { desc: re }, { tags: re }] };
+  });
+  return and.length === 1 ? and[0] : { $and: and };
+}
+
+/**
+ * Pick the search that finds something, in order:
+ *   1. the text index (stemmed, so "earbud" finds "earbuds")
+ *   2. the text index with misspelled terms corrected ("hodie" -> "hoodie")
+ *   3. escaped substring match ("hood" finds "hoodie")
+ * Returns { parts, searched } where `searched` is the query actually used.
+ * Shoppers only see live products; admins see every status (optionally filtered by ?status=).
+ */
+async function resolveSearch(query, { admin = false } = {}) {
+  const parts = filterParts(query);
+  if (!admin) parts.visible = visibleFilter();
+  else if (PRODUCT_STATUSES.includes(query.status)) parts.visible = statusFilter(query.status);
+  const category = await categoryPart(query.category);
+  if (category) parts.category = category;
+  const q = String(query.q || '').trim();
+  if (!q) return { parts, searched: '' };
+
+  if (await Product.countDocuments(mergeParts(parts))) return { parts, searched: q };
+
+  const corrected = await correctQuery(q);
+  if (corrected) {
+    const next = { ...parts, q: textQuery(corrected) };
+    if (await Product.countDocuments(mergeParts(next))) return { parts: next, searched: corrected };
+  }
+  if (!tokenize(q).length) return { parts, searched: q };
+  return { parts: { ...parts, q: substringQuery(q) }, searched: q };
+}
+
+/** AND the parts together, optionally leaving some out; missing parts are skipped ({} when none are left) */
+function mergeParts(parts, ...except) {
+  const and = Object.entries(parts).filter(([k, v]) => v && !except.includes(k)).map(([, v]) => v);
+  if (!and.length) return {};
+  return and.length === 1 ? and[0] : { $and: and };
+}
+
+/**
+ * Facet counts for the current query in one aggregation:
+ * categories, tags (top 30), a 5-bucket price histogram and in/out of stock.
+ */
+async function catalogFacets(parts) {
+  const [res] = await Product.aggregate([
+    { $match: mergeParts({ q: parts.q }) },
+    {
+      $facet: {
+        categories: [
+          { $match: mergeParts(parts, 'q', 'category') },
+          { $match: { $or: [{ categoryId: { $ne: null } }, { category: { $nin: ['', null] } }] } },
+          { $group: { _id: { id: '$categoryId', name: '$category' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, '_id.name': 1 } },
+        ],
+        tags: [
+          { $match: mergeParts(parts, 'q') },
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 30 },
+        ],
+        price: [
+          { $match: mergeParts(parts, 'q', 'price') },
+          { $bucketAuto: { groupBy: '$price', buckets: 5 } },
+        ],
+        stock: [
+          { $match: mergeParts(parts, 'q', 'stock') },
+          {
+            $group: {
+              _id: null,
+              inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+              outOfStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 0, 1] } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const value = (b) => ({ value: b._id, count: b.count });
+  return {
+    categories: await categoryFacet(res?.categories || []),
+    tags: (res?.tags || []).map(value),
+    price: (res?.price || []).map(b => ({ min: b._id.min, max: b._id.max, count: b.count })),
+    stock: {
+      inStock: res?.stock?.[0]?.inStock || 0,
+      outOfStock: res?.stock?.[0]?.outOfStock || 0,
+    },
+  };
+}
+
+/**
+ * Category facet in tree order: [{ value (slug), label, depth, count }], where a
+ * parent's count includes its descendants. Products still on a free-text category
+ * (not migrated yet) are listed after the tree by name.
+ */
+async function categoryFacet(rows) {
+  const counts = new Map();
+  const legacy = [];
+  for (const r of rows) {
+    if (r._id.id) counts.set(String(r._id.id), (counts.get(String(r._id.id)) || 0) + r.count);
+    else legacy.push({ value: r._id.name, label: r._id.name, depth: 0, count: r.count });
+  }
+  const linked = counts.size
+    ? flattenTree(buildTree(await Category.find().lean(), counts))
+      .filter(c => c.count > 0)
+      .map(c => ({ value: c.slug, label: c.name, depth: c.depth, count: c.count }))
+    : [];
+  return [...linked, ...legacy];
+}
+
+/* =======================
+   Sorting & pagination
+   ======================= */
+// Keyset sorts; each ends with _id so rows with equal values keep a stable order
+const SORTS = {
+  newest:     [['createdAt', -1], ['_id', -1]],
+  price_asc:  [['price', 1], ['_id', 1]],
+  price_desc: [['price', -1], ['_id', -1]],
+  popular:    [['sold', -1], ['_id', -1]],
+  title:      [['title', 1], ['_id', 1]],
+};
+// Text-score order can't be resumed from a row's values, so its cursor holds an offset
+const RELEVANCE = 'relevance';
+const TITLE_COLLATION = { locale: 'en', strength: 2 };
 
 /**
  * GET /api/products
- * Query: q, category, min, max, page, pageSize
+ * Query: q, category, tag (comma list, all must match), min, max, inStock (1|0), status (admin only),
+ *        sort (relevance|newest|price_asc|price_desc|popular|title), cursor | page, pageSize (max 100)
+ *        facets=1 also returns { facets:{ categories, tags, price, stock } } for the same query
+ * Returns: { ok, total, products, hasMore, nextCursor } — pass nextCursor back as ?cursor= for the next page.
+ * Each product carries `effective:{ price, compareAtPrice, saving, percentOff, sale }` (lib/promotions.js);
+ * min/max and the price sorts use the regular `price`.
+ * With q, results default to relevance order and carry `highlight:{ title, desc }` (HTML with <mark>);
+ * `correctedQuery` is set when a misspelled query was corrected.
  */
 router.get('/', async (req, res) => {
   try {
-    const {
-      q = '',
-      category = '',
-      min,
-      max,
-      page = 1,
-      pageSize = 50,
-    } = req.query;
-
-    const filter = {};
-    if (q) {
-      filter.$or = [
-        { title: { $regex: q, $options: 'i' } },
-        { desc: { $regex: q, $options: 'i' } },
-        { tags: { $regex: q, $options: 'i' } },
-      ];
+    const { q = '', page = 1, cursor, facets } = req.query;
+    const limit = clampPageSize(req.query.pageSize);
+
+    const admin = isAdmin(req);
+    const { parts, searched } = await resolveSearch(req.query, { admin });
+    const filter = mergeParts(parts);
+    const ranked = !!parts.q?.$text;
+
+    let sort = String(req.query.sort || (ranked ? RELEVANCE : 'newest'));
+    if (sort === RELEVANCE && !ranked) sort = 'newest';
+    if (sort !== RELEVANCE && !SORTS[sort]) {
+      return res.status(400).json({
+        ok: false, error: 'Validation failed',
+        fields: { sort: `Sort must be one of: ${[RELEVANCE, ...Object.keys(SORTS)].join(', ')}` },
+      });
     }
-    if (category) filter.category = category;
-    if (min || max) {
-      filter.price = {};
-      if (min) filter.price.$gte = Number(min);
-      if (max) filter.price.$lte = Number(max);
+
+    // The shoppers' visibility part embeds "now", so it stays out of the hash or cursors would never match
+    const hash = queryHash(admin ? filter : mergeParts(parts, 'visible'));
+    const after = cursor ? decodeCursor(cursor, { sort, hash }) : null;
+    const spec = SORTS[sort];
+
+    let query;
+    let skip = 0;
+    if (sort === RELEVANCE) {
+      skip = after ? Math.max(0, Number(after.o) || 0) : (Math.max(1, Number(page) || 1) - 1) * limit;
+      query = Product.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, _id: -1 });
+    } else {
+      if (!after) skip = (Math.max(1, Number(page) || 1) - 1) * limit;
+      query = Product.find(after ? { $and: [filter, afterCursor(spec, after.v)] } : filter)
+        .sort(Object.fromEntries(spec));
+      if (sort === 'title') query = query.collation(TITLE_COLLATION);
     }
 
-    const skip = (Number(page) - 1) * Number(pageSize);
-    const [products, total] = await Promise.all([
-      Product.find(filter)
-        .sort('-createdAt')
-        .skip(skip)
-        .limit(Number(pageSize))
-        .lean(),
+    // One extra row tells us whether another page exists
+    const [rows, total, facetCounts] = await Promise.all([
+      query.skip(skip).limit(limit + 1).lean(),
       Product.countDocuments(filter),
+      truthy(facets) ? catalogFacets(parts) : null,
     ]);
+    const hasMore = rows.length > limit;
+    const products = rows.slice(0, limit);
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = sort === RELEVANCE
+        ? encodeCursor({ s: sort, h: hash, o: skip + limit })
+        : encodeCursor({ s: sort, h: hash, v: sortValues(spec, products[products.length - 1]) });
+    }
 
-    res.json({ ok: true, total, products });
+    const out = { ok: true, total, products: await withEffectivePrices(products, { admin }), hasMore, nextCursor };
+    if (searched) {
+      const terms = tokenize(searched);
+      out.products = out.products.map(p => ({
+        ...p,
+        highlight: { title: highlight(p.title, terms), desc: highlight(p.desc, terms, { radius: 80 }) },
+      }));
+      if (searched !== String(q).trim()) out.correctedQuery = searched;
+    }
+    if (facetCounts) out.facets = facetCounts;
+    res.json(out);
   } catch (e) {
+    if (e instanceof CursorError) return res.status(e.status).json({ ok: false, error: e.message });
     console.error('GET /api/products error:', e);
     res.status(500).json({ ok: false, error: 'Failed to fetch products' });
   }
 });
 
+/**
+ * Find a product by id, current slug or a previous slug.
+ * Shoppers don't see drafts or not-yet-published products (archived ones still resolve).
+ */
+async function findProduct(idOrSlug, { admin = false } = {}) {
+  const key = String(idOrSlug || '').trim();
+  const slug = key.toLowerCase();
+  const product = isObjectId(key)
+    ? await Product.findById(key).lean()
+    : (await Product.findOne({ slug }).lean()) || (await Product.findOne({ slugHistory: slug }).lean());
+  return product && (admin || isResolvable(product)) ? product : null;
+}
+
 /**
  * GET /api/products/:idOrSlug
+ * Returns: { ok, product, breadcrumbs, canonicalSlug, redirect, state, purchasable }
+ * `redirect` is true when the product was found by its id or by a previous slug,
+ * so the client should switch its URL to canonicalSlug.
+ * `state` is draft|scheduled|live|ended|archived; only `live` products can be bought.
+ * `product.effective` (and `variants[].effective`) is the price charged right now, with the
+ * struck-through compareAtPrice and the active sale, if any.
  */
 router.get('/:idOrSlug', async (req, res) => {
   try {
-    const { idOrSlug } = req.params;
-    const isObjectId = /^[0-9a-fA-F]{24}$/.test(idOrSlug);
-    const product = await (isObjectId
-      ? Product.findById(idOrSlug).lean()
-      : Product.findOne({ slug: idOrSlug }).lean());
-
-    if (!product) {
+    const key = String(req.params.idOrSlug || '').trim();
+    const admin = isAdmin(req);
+    const found = await findProduct(key, { admin });
+    if (!found) {
       return res.status(404).json({ ok: false, error: 'Product not found' });
     }
-    res.json({ ok: true, product });
+    const [product] = await withEffectivePrices([found], { admin });
+    const canonicalSlug = product.slug || '';
+    const breadcrumbs = await breadcrumbsFor(product.categoryId);
+    res.json({
+      ok: true, product, breadcrumbs, canonicalSlug,
+      redirect: !!canonicalSlug && canonicalSlug !== key,
+      state: lifecycleState(product),
+      purchasable: isLive(product),
+    });
   } catch (e) {
     console.error('GET /api/products/:idOrSlug error:', e);
     res.status(500).json({ ok: false, error: 'Failed to fetch product' });
   }
 });
 
+/**
+ * GET /api/products/:idOrSlug/breadcrumbs
+ * Returns: { ok, breadcrumbs:[{ id, name, slug }] } (root category first; empty when uncategorized)
+ */
+router.get('/:idOrSlug/breadcrumbs', async (req, res) => {
+  try {
+    const product = await findProduct(req.params.idOrSlug, { admin: isAdmin(req) });
+    if (!product) return res.status(404).json({ ok: false, error: 'Product not found' });
+    res.json({ ok: true, breadcrumbs: await breadcrumbsFor(product.categoryId) });
+  } catch (e) {
+    console.error('GET /api/products/:idOrSlug/breadcrumbs error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch breadcrumbs' });
+  }
+});
+
+/**
+ * GET /api/products/:idOrSlug/related?limit=8 (max 20)
+ * "Frequently bought together" from precomputed order co-purchases, topped up with
+ * in-stock products from the same category, then with shared tags.
+ * Returns: { ok, products:[{ ...product, effective, reason:'bought_together'|'same_category'|'similar_tags' }] }
+ */
+router.get('/:idOrSlug/related', async (req, res) => {
+  try {
+    const product = await findProduct(req.params.idOrSlug, { admin: isAdmin(req) });
+    if (!product) return res.status(404).json({ ok: false, error: 'Product not found' });
+    const limit = Math.min(20, Math.max(1, Number(req.query.limit) || 8));
+    const products = await withEffectivePrices(await relatedProducts(product, { limit }));
+    res.set('Cache-Control', 'public, max-age=300'); // scores only change when the job reruns
+    res.json({ ok: true, products });
+  } catch (e) {
+    console.error('GET /api/products/:idOrSlug/related error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch related products' });
+  }
+});
+
+// Reviews: approved list + verified-buyer submissions (see routes/reviews.js)
+router.use('/:idOrSlug/reviews', async (req, res, next) => {
+  try {
+    req.product = await findProduct(req.params.idOrSlug, { admin: isAdmin(req) });
+    if (!req.product) return res.status(404).json({ ok: false, error: 'Product not found' });
+    next();
+  } catch (e) {
+    console.error('Load product for reviews error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch product' });
+  }
+}, reviewsRouter);
+
+/**
+ * POST /api/products/:idOrSlug/notify-me
+ * Body: { email?, phone?, sku? } — at least one contact; sku picks the variant of products that have them
+ * Subscribes to a one-off "back in stock" message (see lib/backInStock.js).
+ * Returns: 201 { ok, channels } | 400 { ok:false, error, fields } | 404 | 409 IN_STOCK | 429 TOO_MANY_SUBSCRIPTIONS
+ */
+router.post('/:idOrSlug/notify-me', async (req, res) => {
+  const parsed = NotifyMeSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const product = await findProduct(req.params.idOrSlug);
+    if (!product || !isLive(product)) return res.status(404).json({ ok: false, error: 'Product not found' });
+    const { email, phone, sku } = parsed.data;
+    const hasVariants = (product.variants || []).length > 0;
+    if (sku && !(product.variants || []).some(v => v.sku === sku)) {
+      return res.status(400).json({ ok: false, error: 'Validation failed', fields: { sku: 'Unknown variant' } });
+    }
+    if (hasVariants && !sku && unitStock(product) > 0) {
+      return res.status(400).json({ ok: false, error: 'Validation failed', fields: { sku: 'Choose the option you want' } });
+    }
+    if (unitStock(product, sku) > 0) {
+      return res.status(409).json({ ok: false, error: 'This item is in stock', code: 'IN_STOCK' });
+    }
+    const channels = await subscribe({ product, sku, email, phone });
+    res.status(201).json({ ok: true, channels });
+  } catch (e) {
+    if (e instanceof SubscriptionError) {
+      return res.status(e.status).json({ ok: false, error: e.message, code: e.code, ...e.details });
+    }
+    console.error('POST /api/products/:idOrSlug/notify-me error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to save your request' });
+  }
+});
+
+/* =======================
+   Admin (Bearer ADMIN_TOKEN)
+   ======================= */
+
+// Image upload / gallery order / cover
+router.use('/:id/images', imagesRouter);
+
+/**
+ * POST /api/products
+ * Body: { title, price, compareAtPrice?, sales?, desc?, image?, images?, categoryId?, category?, tags?, slug?, stock?, status?, publishAt?, unpublishAt?, options?, variants? }
+ *   price:    the regular price; compareAtPrice (optional) is shown struck through when higher
+ *   sales:    [{ name?, percentOff | amountOff | price, startsAt, endsAt }] scheduled promotions
+ *   categoryId: Category id (its name is copied to `category`); a bare `category` name is matched if it exists
+ *   status:   draft (default) | published | archived; publishAt / unpublishAt bound when a published product is live
+ *   slug:     generated from the title when omitted (renaming regenerates it; old slugs keep resolving)
+ *   options:  [{ name:'Size', values:['S','M','L'] }]
+ *   variants: [{ sku, options:{ Size:'M' }, price?, stock, image? }]  (product stock becomes their sum)
+ * Returns: { ok:true, product } | 400 { ok:false, error, fields }
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  const parsed = ProductInputSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const categoryError = await applyCategory(parsed.data);
+    if (categoryError) return res.status(400).json({ ok: false, error: 'Validation failed', fields: { categoryId: categoryError } });
+    const product = await Product.create({ status: 'draft', ...parsed.data });
+    await recordStockEdit(null, product, { user: adminUser() });
+    invalidateVocabulary();
+    watchStock([product._id]);
+    res.status(201).json({ ok: true, product });
+  } catch (e) {
+    sendWriteError(res, e, 'POST /api/products');
+  }
+});
+
+/**
+ * Turn the stock in an update into a save() precondition so it cannot undo reservations.
+ * A value equal to the stock the admin edited from (`expectedStock`, else the stock read
+ * here) is left out; a changed one only saves if the stock is still what they saw.
+ * Variants sent without stock keep theirs. Returns the extra filter for `product.$where`.
+ */
+function stockGuard(product, data) {
+  const guard = {};
+  const and = [];
+  const current = new Map((product.variants || []).map(v => [v.sku, v.stock]));
+  for (const v of data.variants || []) {
+    const now = current.get(v.sku);
+    const seen = v.expectedStock ?? now;
+    delete v.expectedStock;
+    if (now === undefined) continue; // new variant: stock as given (model default 0)
+    // The variant array is rewritten whole, so every kept variant is guarded
+    if (v.stock === undefined || v.stock === seen) v.stock = now;
+    and.push({ variants: { $elemMatch: { sku: v.sku, stock: v.stock === now ? now : seen } } });
+  }
+  if (and.length) guard.$and = and;
+
+  const hasVariants = (data.variants ?? product.variants ?? []).length > 0;
+  const seen = data.expectedStock ?? product.stock;
+  delete data.expectedStock;
+  if (hasVariants || data.stock === undefined || data.stock === seen) delete data.stock; // variants: the total is their sum
+  else guard.stock = seen;
+  return guard;
+}
+
+/**
+ * PUT /api/products/:id   (full replace of editable fields)
+ * PATCH /api/products/:id (partial update)
+ * Uploaded images dropped from `images`/`image` are deleted from storage.
+ * Stock changes made here are written to the inventory ledger as `adjustment` movements
+ * (stock-takes with a reason go through /api/admin/inventory/adjustments).
+ * Returns: { ok:true, product } | 400 { ok:false, error, fields } | 404
+ *        | 409 { code:'STOCK_CHANGED' } (stock moved since the admin loaded it)
+ */
+async function updateProduct(req, res, schema) {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ ok: false, error: 'Product not found' });
+
+  const parsed = schema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const product = await Product.findById(id);
+    if (!product) return res.status(404).json({ ok: false, error: 'Product not found' });
+    const categoryError = await applyCategory(parsed.data);
+    if (categoryError) return res.status(400).json({ ok: false, error: 'Validation failed', fields: { categoryId: categoryError } });
+
+    const before = product.toObject();
+    product.$where = stockGuard(product, parsed.data);
+    product.set(parsed.data);
+    // Stock, thresholds or status changes can cross (or clear) a low-stock alert
+    const stockTouched = ['stock', 'variants', 'lowStockThreshold', 'status'].some(f => product.isModified(f));
+    const unusedImages = detachUnusedAssets(product);
+    await product.save();
+    await removeImages(unusedImages);
+    invalidateVocabulary();
+    if (stockTouched) {
+      await recordStockEdit(before, product, { user: adminUser() }); // direct edits still land in the ledger
+      watchStock([product._id]);
+    }
+    res.json({ ok: true, product });
+  } catch (e) {
+    if (e?.name === 'DocumentNotFoundError') {
+      return res.status(409).json({ ok: false, error: 'Stock changed since this product was loaded; reload it and try again', code: 'STOCK_CHANGED' });
+    }
+    sendWriteError(res, e, `${req.method} /api/products/:id`);
+  }
+}
+router.put('/:id', requireAdmin, (req, res) => updateProduct(req, res, ProductInputSchema));
+router.patch('/:id', requireAdmin, (req, res) => updateProduct(req, res, ProductPatchSchema));
+
+/**
+ * DELETE /api/products/:id
+ * Archives the product: it leaves the catalog but old orders, receipts and reviews still resolve.
+ * ?purge=1 deletes it for good (with its images and reviews), only if no order ever included it.
+ * Returns: { ok:true, id, archived } | 404 | 409 (purge of an ordered product)
+ */
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isObjectId(id)) return res.status(404).json({ ok: false, error: 'Product not found' });
+
+    if (req.query.purge !== '1') {
+      const archived = await Product.findByIdAndUpdate(id, { $set: { status: 'archived' } }, { new: true }).lean();
+      if (!archived) return res.status(404).json({ ok: false, error: 'Product not found' });
+      invalidateVocabulary();
+      return res.json({ ok: true, id, archived: true });
+    }
+
+    if (await Order.exists({ $or: [{ 'items.productId': id }, { 'items.id': id }] })) {
+      return res.status(409).json({ ok: false, error: 'This product appears in orders. Archive it instead.', code: 'HAS_ORDERS' });
+    }
+    const deleted = await Product.findByIdAndDelete(id).lean();
+    if (!deleted) return res.status(404).json({ ok: false, error: 'Product not found' });
+    const reviews = await Review.find({ product: deleted._id }, { photos: 1 }).lean();
+    await Review.deleteMany({ product: deleted._id });
+    await InventoryMovement.deleteMany({ product: deleted._id });
+    await StockSubscription.deleteMany({ product: deleted._id });
+    await removeImages([...(deleted.imageAssets || []), ...reviews.flatMap(r => r.photos || [])]);
+    invalidateVocabulary();
+    res.json({ ok: true, id, archived: false });
+  } catch (e) {
+    console.error('DELETE /api/products/:id error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to delete product' });
+  }
+});
+
 export default router;
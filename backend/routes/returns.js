@@ -0,0 +1,148 @@
+/* =======================
+   Customer returns router
+   Mounted at /api/returns — same ref + phone/email check as order tracking
+   ======================= */
+import express from 'express';
+import { z } from 'zod';
+import { isMistypedRef } from '@lwg/order-rules/orderRef.js';
+import Order, { identityFilter } from '../models/Order.js';
+import ReturnRequest, { RETURN_REASONS } from '../models/ReturnRequest.js';
+import { sendValidationError } from '../lib/validation.js';
+import { saveImage, removeImages, StorageError } from '../lib/storage.js';
+import { notifyAdmin, escapeHtml } from '../lib/notify.js';
+import {
+  openReturn, returnEligibility, publicReturn, emailCustomer, ReturnError, RETURN_WINDOW_DAYS, REASON_LABELS,
+} from '../lib/returns.js';
+import { buildCreditNotePdf } from '../lib/creditNote.js';
+
+const router = express.Router();
+
+const IdentitySchema = z.object({
+  ref: z.string({ required_error: 'Order reference is required' }).trim().min(1, 'Order reference is required'),
+  phone: z.string().trim().optional(),
+  email: z.string().trim().optional(),
+});
+const withIdentity = (schema) => schema.refine(d => d.phone || d.email, { path: ['phone'], message: 'Provide the phone or email used for the order' });
+
+const ReturnInputSchema = withIdentity(IdentitySchema.extend({
+  items: z.array(z.object({
+    lineId: z.string().trim().min(1).max(40),
+    qty: z.coerce.number().int('Quantity must be a whole number').positive('Quantity must be at least 1'),
+    reason: z.enum(RETURN_REASONS, { errorMap: () => ({ message: `Reason must be one of ${RETURN_REASONS.join(', ')}` }) }),
+  })).min(1, 'Choose at least one item to return').max(50),
+  comment: z.string().trim().max(2000, 'Comments are limited to 2000 characters').optional().default(''),
+  photos: z.array(z.object({
+    filename: z.string().max(200).optional(),
+    mime: z.string().optional(),
+    base64: z.string().min(1, 'File is empty'),
+  })).max(3, 'Attach at most 3 photos').optional().default([]),
+}));
+
+/** Finds the customer's order, or answers 400 / 404 itself and returns null */
+async function findOrder(res, { ref, phone, email }) {
+  if (isMistypedRef(ref)) {
+    res.status(400).json({ ok: false, code: 'INVALID_REF', error: 'That order reference has a typo. Please check the digits.' });
+    return null;
+  }
+  const order = await Order.findOne(identityFilter({ ref, phone, email })).lean();
+  if (!order) res.status(404).json({ ok: false, error: 'No order matches that reference and phone/email' });
+  return order;
+}
+
+/**
+ * GET /api/returns?ref=...&phone=...|email=...
+ * What the customer can still send back and the returns they already opened.
+ * Returns: { ok, eligible, code?, message?, windowDays, windowEndsAt, lines:[{ lineId, title, qty, returnable }], returns }
+ */
+router.get('/', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const parsed = withIdentity(IdentitySchema).safeParse(req.query || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const order = await findOrder(res, parsed.data);
+    if (!order) return;
+    const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 }).lean();
+    const { eligible, code, message, windowEndsAt, lines } = returnEligibility(order, returns);
+    res.json({
+      ok: true, eligible, code, message,
+      windowDays: RETURN_WINDOW_DAYS,
+      windowEndsAt,
+      lines: lines.map(l => ({ lineId: l.lineId, title: l.title, qty: l.qty, returnable: l.returnable })),
+      returns: returns.map(publicReturn),
+    });
+  } catch (e) {
+    console.error('GET /api/returns error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch returns' });
+  }
+});
+
+/**
+ * POST /api/returns
+ * Body: { ref, phone | email, items:[{ lineId, qty, reason }], comment?, photos?:[{ filename, mime, base64 }] (max 3) }
+ * Returns: 201 { ok, return } | 404 order | 409 NOT_SHIPPED | RETURN_WINDOW_CLOSED | NOTHING_TO_RETURN | OVER_RETURNED
+ *          | 400 UNKNOWN_LINE
+ */
+router.post('/', async (req, res) => {
+  const parsed = ReturnInputSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  const { items, comment, photos } = parsed.data;
+
+  const uploaded = [];
+  try {
+    const order = await findOrder(res, parsed.data);
+    if (!order) return;
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    for (const f of photos) {
+      uploaded.push(await saveImage({ base64: f.base64, filename: f.filename || 'return', baseUrl, folder: 'returns' }));
+    }
+    const ret = await openReturn({ order, items, comment, photos: uploaded });
+
+    const lines = ret.items.map(it => `${it.title} × ${it.qty} — ${REASON_LABELS[it.reason]}`);
+    notifyAdmin({
+      subject: `↩️ Return requested ${ret.number} (${ret.orderRef})`,
+      text: `${ret.customer.name || 'Customer'}\n${lines.join('\n')}${comment ? `\n\n${comment}` : ''}`,
+      html: `<p><b>${escapeHtml(ret.number)}</b> for order <b>${escapeHtml(ret.orderRef)}</b></p>` +
+        `<ul>${lines.map(l => `<li>${escapeHtml(l)}</li>`).join('')}</ul>` +
+        (comment ? `<p style="white-space:pre-wrap">${escapeHtml(comment)}</p>` : ''),
+    }).catch(() => {});
+    emailCustomer(ret, {
+      subject: 'We received your return request',
+      lines: ['We have your return request and will review it shortly.', ...lines],
+    });
+    res.status(201).json({ ok: true, return: publicReturn(ret) });
+  } catch (e) {
+    await removeImages(uploaded);
+    if (e instanceof ReturnError || e instanceof StorageError) {
+      return res.status(e.status).json({ ok: false, error: e.message, code: e.code, ...e.details });
+    }
+    console.error('POST /api/returns error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to submit return' });
+  }
+});
+
+/**
+ * GET /api/returns/credit-notes/:number.pdf?ref=...&phone=...|email=...
+ * Returns: application/pdf | 404 (unknown note, or not on this customer's order)
+ */
+router.get('/credit-notes/:number.pdf', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  const parsed = withIdentity(IdentitySchema).safeParse(req.query || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  try {
+    const order = await findOrder(res, parsed.data);
+    if (!order) return;
+    const number = String(req.params.number);
+    const ret = await ReturnRequest.findOne({ order: order._id, 'refunds.creditNote': number }).lean();
+    const pdf = ret && await buildCreditNotePdf(ret, number);
+    if (!pdf) return res.status(404).json({ ok: false, error: 'Credit note not found' });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${number}.pdf"`);
+    res.send(pdf);
+  } catch (e) {
+    console.error('GET /api/returns/credit-notes error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to build credit note' });
+  }
+});
+
+export default router;
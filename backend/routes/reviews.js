@@ -0,0 +1,133 @@
+/* =======================
+   Product reviews router
+   Mounted at /api/products/:idOrSlug/reviews (req.product is set by routes/products.js)
+   ======================= */
+import express from 'express';
+import { z } from 'zod';
+import Review from '../models/Review.js';
+import Order, { identityFilter } from '../models/Order.js';
+import { sendValidationError } from '../lib/validation.js';
+import { saveImage, removeImages, StorageError } from '../lib/storage.js';
+import { ratingSummary, displayName } from '../lib/reviews.js';
+
+const router = express.Router({ mergeParams: true });
+
+const MAX_PAGE = 50;
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  highest: { rating: -1, createdAt: -1, _id: -1 },
+  lowest: { rating: 1, createdAt: -1, _id: -1 },
+};
+// Orders in these states don't count as a purchase
+const UNREVIEWABLE_STATUSES = ['Cancelled'];
+const UNREVIEWABLE_PAYMENT_STATUSES = ['Failed', 'Refunded'];
+
+const ReviewInputSchema = z.object({
+  ref: z.string({ required_error: 'Order reference is required' }).trim().min(1, 'Order reference is required'),
+  phone: z.string().trim().optional(),
+  email: z.string().trim().optional(),
+  rating: z.coerce.number({ invalid_type_error: 'Rating must be a number' })
+    .int('Rating must be a whole number').min(1, 'Rating must be 1 to 5').max(5, 'Rating must be 1 to 5'),
+  title: z.string().trim().max(120).optional().default(''),
+  text: z.string().trim().max(2000, 'Reviews are limited to 2000 characters').optional().default(''),
+  photos: z.array(z.object({
+    filename: z.string().max(200).optional(),
+    mime: z.string().optional(),
+    base64: z.string().min(1, 'File is empty'),
+  })).max(3, 'Attach at most 3 photos').optional().default([]),
+}).refine(d => d.phone || d.email, { path: ['phone'], message: 'Provide the phone or email used for the order' });
+
+/** What shoppers see: no order ref, contact details or moderation fields */
+export const publicReview = (r) => ({
+  id: String(r._id),
+  author: r.author,
+  rating: r.rating,
+  title: r.title,
+  text: r.text,
+  variant: r.variant || '',
+  photos: (r.photos || []).map(p => ({ url: p.url, sizes: p.sizes })),
+  verified: true,
+  createdAt: r.createdAt,
+});
+
+/**
+ * GET /api/products/:idOrSlug/reviews
+ * Query: sort (newest|highest|lowest), page, pageSize (max 50)
+ * Returns: { ok, summary:{ average, count, histogram }, reviews, total, hasMore }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sort = SORTS[req.query.sort] || SORTS.newest;
+    const limit = Math.min(MAX_PAGE, Math.max(1, Number(req.query.pageSize) || 10));
+    const skip = (Math.max(1, Number(req.query.page) || 1) - 1) * limit;
+    const filter = { product: req.product._id, status: 'approved' };
+
+    const [rows, total, summary] = await Promise.all([
+      Review.find(filter).sort(sort).skip(skip).limit(limit).lean(),
+      Review.countDocuments(filter),
+      ratingSummary(req.product._id),
+    ]);
+    res.json({ ok: true, summary, reviews: rows.map(publicReview), total, hasMore: skip + rows.length < total });
+  } catch (e) {
+    console.error('GET /api/products/:idOrSlug/reviews error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to fetch reviews' });
+  }
+});
+
+/**
+ * POST /api/products/:idOrSlug/reviews
+ * Body: { ref, phone | email, rating (1-5), title?, text?, photos?:[{ filename, mime, base64 }] (max 3) }
+ * Only buyers can review: ref + phone/email must match an order containing the product
+ * (same check as GET /api/orders/track). Reviews wait for moderation before they show.
+ * Returns: 201 { ok, review, status:'pending' } | 404 order | 403 NOT_PURCHASED | 409 ALREADY_REVIEWED
+ */
+router.post('/', async (req, res) => {
+  const parsed = ReviewInputSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  const { ref, phone, email, rating, title, text, photos } = parsed.data;
+  const product = req.product;
+
+  const uploaded = [];
+  try {
+    const order = await Order.findOne(identityFilter({ ref, phone, email })).lean();
+    if (!order) {
+      return res.status(404).json({ ok: false, error: 'No order matches that reference and phone/email' });
+    }
+    const item = (order.items || []).find(i => String(i.productId || i.id) === String(product._id));
+    if (!item || UNREVIEWABLE_STATUSES.includes(order.status) || UNREVIEWABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      return res.status(403).json({ ok: false, error: 'Only customers who bought this product can review it', code: 'NOT_PURCHASED' });
+    }
+    if (await Review.exists({ product: product._id, orderRef: order.ref })) {
+      return res.status(409).json({ ok: false, error: 'You have already reviewed this product for this order', code: 'ALREADY_REVIEWED' });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    for (const f of photos) {
+      uploaded.push(await saveImage({ base64: f.base64, filename: f.filename || 'review', baseUrl, folder: 'reviews' }));
+    }
+
+    const review = await Review.create({
+      product: product._id,
+      productTitle: product.title,
+      orderRef: order.ref,
+      sku: item.sku || '',
+      variant: item.variant || '',
+      author: displayName(order.info?.name),
+      rating,
+      title,
+      text,
+      photos: uploaded,
+    });
+    res.status(201).json({ ok: true, review: publicReview(review), status: review.status });
+  } catch (e) {
+    await removeImages(uploaded);
+    if (e instanceof StorageError) return res.status(e.status).json({ ok: false, error: e.message, code: e.code });
+    if (e?.code === 11000) {
+      return res.status(409).json({ ok: false, error: 'You have already reviewed this product for this order', code: 'ALREADY_REVIEWED' });
+    }
+    console.error('POST /api/products/:idOrSlug/reviews error:', e);
+    res.status(500).json({ ok: false, error: 'Failed to submit review' });
+  }
+});
+
+export default router;
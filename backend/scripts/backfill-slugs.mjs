@@ -0,0 +1,30 @@
+// backfill-slugs.mjs — give every product without a slug one generated from its title
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+
+const { MONGO_URI, MONGO_DB } = process.env;
+
+if (!MONGO_URI) {
+  console.error('❌ MONGO_URI is not set in environment');
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(MONGO_URI, { dbName: MONGO_DB });
+  console.log(`✔ Mongo connected (${MONGO_DB || 'default DB'})`);
+
+  // Saved one at a time so the pre-validate hook can pick collision-free slugs
+  const missing = await Product.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] });
+  for (const p of missing) {
+    await p.save();
+    console.log(`  ${p._id} → ${p.slug}`);
+  }
+
+  console.log(`✔ ${missing.length} product slug(s) generated`);
+} catch (err) {
+  console.error('❌ Slug backfill failed:', err?.message || err);
+} finally {
+  await mongoose.disconnect();
+  process.exit(0);
+}
@@ -0,0 +1,24 @@
+// build-recommendations.mjs — recompute "frequently bought together" scores once (e.g. from cron)
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { rebuildRecommendations } from '../lib/recommendations.js';
+
+const { MONGO_URI, MONGO_DB } = process.env;
+
+if (!MONGO_URI) {
+  console.error('❌ MONGO_URI is not set in environment');
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(MONGO_URI, { dbName: MONGO_DB });
+  console.log(`✔ Mongo connected (${MONGO_DB || 'default DB'})`);
+
+  const { products, pairs } = await rebuildRecommendations();
+  console.log(`✔ Recommendations rebuilt: ${products} product(s), ${pairs} pair(s)`);
+} catch (err) {
+  console.error('❌ Recommendation build failed:', err?.message || err);
+} finally {
+  await mongoose.disconnect();
+  process.exit(0);
+}
@@ -0,0 +1,65 @@
+// migrate-categories.mjs — turn free-text product categories into Category documents
+// Spellings that differ only by case/spacing ("Bags", " bags ") share one category;
+// products without a category go to "Uncategorized". Safe to re-run. Pass --dry-run to preview.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { findCategory } from '../lib/categories.js';
+
+const { MONGO_URI, MONGO_DB } = process.env;
+const DRY_RUN = process.argv.includes('--dry-run');
+const UNCATEGORIZED = 'Uncategorized';
+
+if (!MONGO_URI) {
+  console.error('❌ MONGO_URI is not set in environment');
+  process.exit(1);
+}
+
+const normalize = (s) => String(s || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+try {
+  await mongoose.connect(MONGO_URI, { dbName: MONGO_DB });
+  console.log(`✔ Mongo connected (${MONGO_DB || 'default DB'})${DRY_RUN ? ' — dry run' : ''}`);
+
+  // Count each spelling among products that aren't linked yet
+  const rows = await Product.aggregate([
+    { $match: { categoryId: null } },
+    { $group: { _id: { $ifNull: ['$category', ''] }, count: { $sum: 1 } } },
+  ]);
+
+  // Group spellings; the most used one becomes the category name
+  const groups = new Map();
+  for (const r of rows) {
+    const key = normalize(r._id) || normalize(UNCATEGORIZED);
+    const g = groups.get(key) || { spellings: [], name: '', best: -1 };
+    g.spellings.push(r._id);
+    const name = String(r._id).trim().replace(/\s+/g, ' ');
+    if (name && r.count > g.best) Object.assign(g, { name, best: r.count });
+    groups.set(key, g);
+  }
+
+  let linked = 0;
+  for (const g of groups.values()) {
+    const name = g.name || UNCATEGORIZED;
+    let category = await findCategory(name);
+    if (!category && !DRY_RUN) category = (await Category.create({ name })).toObject();
+
+    const filter = { categoryId: null, category: { $in: g.spellings } };
+    if (g.spellings.includes('')) filter.category.$in.push(null); // field missing or null
+    const count = DRY_RUN
+      ? await Product.countDocuments(filter)
+      : (await Product.updateMany(filter, { $set: { categoryId: category._id, category: name } })).modifiedCount;
+
+    linked += count;
+    const from = g.spellings.map(s => JSON.stringify(s)).join(', ');
+    console.log(`  ${from} → ${name}${category ? '' : ' (new)'}: ${count} product(s)`);
+  }
+
+  console.log(`✔ ${linked} product(s) ${DRY_RUN ? 'would be linked' : 'linked'} to ${groups.size} categor${groups.size === 1 ? 'y' : 'ies'}`);
+} catch (err) {
+  console.error('❌ Category migration failed:', err?.message || err);
+} finally {
+  await mongoose.disconnect();
+  process.exit(0);
+}
@@ -2,6 +2,7 @@
 import 'dotenv/config';
 import mongoose from 'mongoose';
 import Product from '../models/Product.js';
+import Category from '../models/Category.js';
 
 const { MONGO_URI, MONGO_DB } = process.env;
 
@@ -14,9 +15,16 @@ try {
   await mongoose.connect(MONGO_URI, { dbName: MONGO_DB });
   console.log(`✔ Mongo connected (${MONGO_DB || 'default DB'})`);
 
-  // Start clean (remove existing products)
+  // Start clean (remove existing products and categories)
   await Product.deleteMany({});
-  console.log('ℹ Existing products cleared');
+  await Category.deleteMany({});
+  console.log('ℹ Existing products and categories cleared');
+
+  // Category tree (created one by one so each child gets its parent's path)
+  const fashion = await Category.create({ name: 'Fashion', description: 'Clothing, bags and accessories' });
+  const bags = await Category.create({ name: 'Bags', parent: fashion._id });
+  const electronics = await Category.create({ name: 'Electronics', description: 'Gadgets and accessories' });
+  const audio = await Category.create({ name: 'Audio', parent: electronics._id });
 
   // Insert demo products
   await Product.insertMany([
@@ -27,10 +35,12 @@ try {
       image:
         'https://images.unsplash.com/photo-1523381210434-271e8be1f52b?q=80&w=1200&auto=format&fit=crop',
       images: [],
-      category: 'Bags',
+      categoryId: bags._id,
+      category: bags.name,
       tags: ['fashion', 'ladies', 'bag'],
       slug: 'fashion-bag-for-ladies',
       stock: 2,
+      status: 'published',
     },
     {
       title: 'Wireless Earbuds',
@@ -38,13 +48,16 @@ try {
       desc: 'Bluetooth 5.3, long battery',
       image:
         'https://images.unsplash.com/photo-1585386959984-a41552231658?q=80&w=1200&auto=format&fit=crop',
+      categoryId: audio._id,
+      category: audio.name,
       tags: ['electronics', 'audio'],
       slug: 'wireless-earbuds',
       stock: 10,
+      status: 'published',
     },
   ]);
 
-  console.log('✔ Products seeded successfully');
+  console.log('✔ Categories and products seeded successfully');
 } catch (err) {
   console.error('❌ Seed failed:', err?.message || err);
 } finally {
@@ -8,14 +8,39 @@ import helmet from 'helmet';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 import pinoHttp from 'pino-http';
-import nodemailer from 'nodemailer';
 import mongoose from 'mongoose';
 import { z } from 'zod';
 import { v2 as cloudinary } from 'cloudinary';
 import PDFDocument from 'pdfkit';
+import { nextOrderRef, normalizeRef, isMistypedRef } from '@lwg/order-rules/orderRef.js';
+import { applyTransition, publicHistory, placedEntry, OrderStatusError, STATUS_TRANSITIONS, PAYMENT_TRANSITIONS } from '@lwg/order-rules/orderStatus.js';
 
 // ✅ Products route (imported exactly once)
 import productsRoutes from './routes/products.js';
+import categoriesRoutes from './routes/categories.js';
+import adminReviewsRoutes from './routes/adminReviews.js';
+import adminInventoryRoutes from './routes/adminInventory.js';
+import backInStockRoutes from './routes/backInStock.js';
+import returnsRoutes from './routes/returns.js';
+import adminReturnsRoutes from './routes/adminReturns.js';
+import Order, { identityFilter } from './models/Order.js';
+import Counter from './models/Counter.js';
+import { requireAdmin, adminUser } from './middleware/auth.js';
+import { idempotency } from './middleware/idempotency.js';
+import { priceOrder, assertClientTotals, PricingError } from './lib/pricing.js';
+import { reserveStock, releaseStock, InventoryError } from './lib/inventory.js';
+import { createShipment, updateShipment, deleteShipment, orderLines, publicShipments, ShipmentError } from './lib/shipments.js';
+import { escapeRegex } from './lib/search.js';
+import { UPLOAD_DIR, saveImage, removeImages, uploadBodyLimit, StorageError } from './lib/storage.js';
+import { sendValidationError } from './lib/validation.js';
+import { schedule } from './lib/scheduler.js';
+import { rebuildRecommendations } from './lib/recommendations.js';
+import { mailer, sendWhatsAppText, sendWhatsAppTemplate, notifyAdmin } from './lib/notify.js';
+import { watchStock, sendLowStockSummary } from './lib/stockAlerts.js';
+import { sendBackInStockNotifications } from './lib/backInStock.js';
+import { unreturnedItems } from './lib/returns.js';
+import { editOrder, OrderEditError } from './lib/orderEdit.js';
+import { cancelOptions, requestCancellation, resolveCancellation, CancellationError } from './lib/cancellation.js';
 
 /* =========================
    Small helpers
@@ -40,6 +65,14 @@ function get(obj, path, fallback) {
     return (cur == null ? fallback : cur);
   } catch { return fallback; }
 }
+// "LWG Classic Tee (M / Black)" — title plus variant name when the line has one
+const itemTitle = (i) => get(i, 'product.title', 'Item') + (i && i.variant ? ` (${i.variant})` : '');
+// "NLe 85 (was NLe 100)" for lines bought on sale
+const itemPrice = (i) => {
+  const price = get(i, 'product.price', 0);
+  const was = get(i, 'product.compareAtPrice', 0);
+  return was > price ? `NLe ${price} (was NLe ${was})` : `NLe ${price}`;
+};
 
 /* =========================
    ENV + CONFIG
@@ -47,9 +80,7 @@ function get(obj, path, fallback) {
 const {
   PORT = 5001,
 
-  // SMTP
-  SMTP_HOST = 'smtp.gmail.com',
-  SMTP_PORT = '465',
+  // SMTP (transport in lib/notify.js)
   SMTP_USER,
   SMTP_PASS,
   MAIL_FROM,
@@ -80,7 +111,11 @@ const {
   // WhatsApp templates
   WA_TEMPLATE_NEW_ORDER,
   WA_TEMPLATE_ORDER_CONFIRM,
-  WA_LANG = 'en_US'
+
+  // Background jobs
+  RECS_INTERVAL_MINUTES = '360',
+  LOW_STOCK_SUMMARY_HOUR = '8', // server local time
+  BACK_IN_STOCK_INTERVAL_MINUTES = '15'
 } = process.env;
 
 const app = express();
@@ -91,6 +126,10 @@ const app = express();
 app.set('trust proxy', 1); // important on Render/Netlify behind proxies
 app.use(helmet({ crossOriginResourcePolicy: { policy: 'cross-origin' } }));
 app.use(compression());
+// Image uploads carry several base64 files of up to 5 MB each; everything else keeps the 10mb cap
+app.use('/api/products/:id/images', express.json({ limit: uploadBodyLimit(10) })); // up to 10 images
+app.use('/api/products/:id/reviews', express.json({ limit: uploadBodyLimit(3) })); // up to 3 review photos
+app.use('/api/returns', express.json({ limit: uploadBodyLimit(3) })); // up to 3 return photos
 app.use(express.json({ limit: '10mb' }));
 app.use(pinoHttp());
 
@@ -108,7 +147,8 @@ const corsOptions = {
     return cb(new Error('Not allowed by CORS: ' + origin));
   },
   methods: ['GET','HEAD','PUT','PATCH','POST','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization'],
+  allowedHeaders: ['Content-Type','Authorization','Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true,
   optionsSuccessStatus: 204
 };
@@ -120,9 +160,12 @@ app.options('*', cors(corsOptions));
    ========================= */
 const apiLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 120, standardHeaders: true });
 const orderLimiter = rateLimit({ windowMs: 5 * 60 * 1000, max: 20, standardHeaders: true });
+const subscribeLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10, standardHeaders: true }); // "notify me" sign-ups
 app.use('/api/', apiLimiter);
 app.use('/api/orders', orderLimiter);
 app.use('/api/notify-order', orderLimiter);
+app.use('/api/returns', orderLimiter);
+app.use('/api/products/:id/notify-me', subscribeLimiter);
 
 /* =========================
    Cloudinary
@@ -199,89 +242,55 @@ app.get('/api/db-ping', async (_req, res) => {
 });
 
 /* =========================
-   Mongoose schema/model
-   ========================= */
-const OrderSchema = new mongoose.Schema({
-  ref: String,
-  createdAt: { type: Date, default: Date.now },
-  info: {
-    name: String, phone: String, email: String, payment: String, address: String,
-    deliveryZone: String, deliveryFee: Number, subtotal: Number, grandTotal: Number,
-    payment_details: Object
-  },
-  items: [{
-    id: String,
-    qty: Number,
-    product: {
-      title: String,
-      price: Number,
-      image: String
-    }
-  }],
-  proofUrl: String,
-  paymentStatus: { type: String, default: 'Pending' }, // Pending | Paid | Failed
-  status: { type: String, default: 'New' } // New | Processing | Shipped | Completed | Cancelled
-}, { versionKey: false });
-
-const Order = mongoose.models.Order || mongoose.model('Order', OrderSchema);
-
-/* =========================
-   Email (Gmail App Password)
+   Orders (model in models/Order.js)
    ========================= */
-const mailer = nodemailer.createTransport({
-  host: SMTP_HOST,
-  port: Number(SMTP_PORT),
-  secure: Number(SMTP_PORT) === 465,
-  auth: { user: SMTP_USER, pass: SMTP_PASS }
-});
-mailer.verify((err) => {
-  if (err) {
-    console.error('SMTP VERIFY FAIL:', (err && err.message) || err);
-    console.error('Hint: 2-Step ON + App Password, or run DisplayUnlockCaptcha');
-  } else {
-    console.log(`SMTP OK (${SMTP_PORT} ${Number(SMTP_PORT) === 465 ? 'SSL' : 'TLS'})`);
+// Order states that hand reserved stock back to the catalog
+const RESTOCK_STATUSES = ['Cancelled'];
+const RESTOCK_PAYMENT_STATUSES = ['Failed', 'Refunded'];
+
+/**
+ * Return an order's reserved quantities to stock exactly once (recorded as a `cancellation` movement).
+ * The stockReserved flag is flipped atomically, so concurrent PATCHes can't double-restock.
+ * Units already put back by a received return are left out.
+ */
+async function restockOrder(orderId, { user = 'system', note = '' } = {}) {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, stockReserved: true },
+    { $set: { stockReserved: false } },
+    { new: false }
+  ).lean();
+  if (!order) return false;
+  try {
+    await releaseStock(await unreturnedItems(order), { reason: 'cancellation', orderRef: order.ref || '', user, note });
+  } catch (e) {
+    await Order.updateOne({ _id: orderId }, { $set: { stockReserved: true } });
+    throw e;
   }
-});
-
-/* =========================
-   WhatsApp helpers
-   ========================= */
-const WAPI_VERSION = 'v23.0';
-async function sendWhatsAppText({ to, text }) {
-  if (!to || !WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID) return;
-  const phoneId = String(WHATSAPP_PHONE_ID).replace(/[^\d]/g, '');
-  const url = `https://graph.facebook.com/${WAPI_VERSION}/${phoneId}/messages`;
-  const r = await fetch(url, {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({ messaging_product: 'whatsapp', to, type: 'text', text: { body: String(text || '').slice(0, 4096) } })
-  });
-  if (!r.ok) console.error('WhatsApp TEXT error:', r.status, await r.text().catch(()=> ''));
-}
-async function sendWhatsAppTemplate({ to, template, lang = WA_LANG, components = [] }) {
-  if (!to || !WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID || !template) return false;
-  const phoneId = String(WHATSAPP_PHONE_ID).replace(/[^\d]/g, '');
-  const url = `https://graph.facebook.com/${WAPI_VERSION}/${phoneId}/messages`;
-  const r = await fetch(url, {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({ messaging_product: 'whatsapp', to, type: 'template', template: { name: template, language: { code: lang }, components } })
-  });
-  if (!r.ok) { console.error('WhatsApp TEMPLATE error:', r.status, await r.text().catch(()=> '')); return false; }
+  watchStock(order.items.map(i => i.productId)); // clears alerts for items back above their threshold
   return true;
 }
 
-/* =========================
-   Constants
-   ========================= */
-const DELIVERY_ZONES = {
-  'Pick-up (No delivery)': 0,
-  'Freetown (Urban)': 25,
-  'Greater Freetown': 40,
-  'Provinces (Major towns)': 80,
-  'Provinces (Remote)': 120
-};
-const feeFromZone = (z) => DELIVERY_ZONES[z] ?? 0;
+/**
+ * Hold a restocked order's quantities again (payment moving on from Failed), recorded as `sale` movements.
+ * Flips stockReserved back atomically; throws InventoryError(OUT_OF_STOCK) and leaves the order unreserved
+ * when the units have been sold in the meantime.
+ */
+async function reserveOrderAgain(orderId, { user = 'system' } = {}) {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, stockReserved: false },
+    { $set: { stockReserved: true } },
+    { new: false }
+  ).lean();
+  if (!order) return false;
+  try {
+    await reserveStock(order.items, { orderRef: order.ref || '', user });
+  } catch (e) {
+    await Order.updateOne({ _id: orderId }, { $set: { stockReserved: false } });
+    throw e;
+  }
+  watchStock(order.items.map(i => i.productId));
+  return true;
+}
 
 /* =========================
    PDF builder
@@ -303,12 +312,15 @@ async function buildInvoicePdf(order) {
     const subtotal = get(order, 'info.subtotal', 0);
     const deliveryFee = get(order, 'info.deliveryFee', 0);
     const grandTotal = get(order, 'info.grandTotal', subtotal + deliveryFee);
+    const savings = get(order, 'info.savings', 0);
+    const refunded = get(order, 'info.refunded', 0);
 
     doc.fontSize(20).text('LWG Partners Network', { align: 'left' });
     doc.moveDown(0.2).fontSize(10).fillColor('#555').text('Creating Impact Globally');
     doc.moveDown(1).fillColor('#000').fontSize(16).text('Invoice / Order Receipt', { align: 'right' });
     doc.fontSize(10).text('Ref: ' + ref, { align: 'right' });
     doc.text('Date: ' + new Date(order.createdAt || Date.now()).toLocaleString(), { align: 'right' });
+    if (order.editedAt) doc.text('Revised: ' + new Date(order.editedAt).toLocaleString(), { align: 'right' });
     doc.moveDown();
 
     doc.fontSize(12).text('Bill To:');
@@ -323,16 +335,26 @@ async function buildInvoicePdf(order) {
     doc.moveDown(0.5);
     const items = Array.isArray(order.items) ? order.items : [];
     items.forEach((i) => {
-      const title = get(i, 'product.title', 'Item');
+      const title = itemTitle(i);
       const price = get(i, 'product.price', 0);
       const qty   = i.qty || 0;
+      const was = get(i, 'product.compareAtPrice', 0);
       doc.fontSize(11).text(`${title}  ×  ${qty}`, { continued: true }).text(`NLe ${price}`, { align: 'right' });
+      if (was > price) {
+        const sale = i.sale ? ` · ${i.sale}` : '';
+        doc.fontSize(9).fillColor('#555').text(`Was NLe ${was}, you save NLe ${Math.round((was - price) * qty * 100) / 100}${sale}`).fillColor('#000');
+      }
     });
 
     doc.moveDown().fontSize(11);
     doc.text('Subtotal', { continued: true }).text(`NLe ${subtotal}`, { align: 'right' });
     doc.text('Delivery', { continued: true }).text(`NLe ${deliveryFee}`, { align: 'right' });
     doc.fontSize(12).text('Total', { continued: true }).text(`NLe ${grandTotal}`, { align: 'right' });
+    if (refunded > 0) {
+      doc.fontSize(11).text('Refunded (see credit notes)', { continued: true }).text(`- NLe ${refunded}`, { align: 'right' });
+      doc.fontSize(12).text('Net total', { continued: true }).text(`NLe ${get(order, 'info.netTotal', grandTotal - refunded)}`, { align: 'right' });
+    }
+    if (savings > 0) doc.moveDown(0.3).fontSize(11).fillColor('#0a7d32').text(`You saved NLe ${savings}`, { align: 'right' }).fillColor('#000');
     doc.moveDown(2);
     doc.fontSize(10).fillColor('#555').text('Thank you for your purchase!');
     doc.end();
@@ -344,6 +366,7 @@ async function buildInvoicePdf(order) {
    ========================= */
 const ItemSchema = z.object({
   id: z.string(),
+  sku: z.string().trim().max(64).optional(),
   qty: z.number().int().positive(),
   product: z.object({
     title: z.string(),
@@ -422,16 +445,58 @@ app.get('/api/test-wa', async (req, res) => {
    ✅ Mount Products API (ONCE)
    ========================= */
 app.use('/api/products', productsRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/back-in-stock', backInStockRoutes);
+app.use('/api/returns', returnsRoutes);
+// Product images stored on local disk (when Cloudinary isn't configured)
+app.use('/uploads', express.static(UPLOAD_DIR, { maxAge: '30d', immutable: true, index: false }));
 
 /* =========================
    Admin auth + list/update/export
    ========================= */
-function requireAdmin(req, res, next) {
-  const auth = req.headers.authorization || '';
-  const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
-  if (token !== ADMIN_TOKEN) return res.status(401).json({ ok: false, error: 'Unauthorized' });
-  next();
+// Review moderation queue
+app.use('/api/admin/reviews', adminReviewsRoutes);
+// Low-stock report (alerts themselves are sent by lib/stockAlerts.js)
+app.use('/api/admin/inventory', adminInventoryRoutes);
+// Returns / refunds queue (lib/returns.js)
+app.use('/api/admin/returns', adminReturnsRoutes);
+
+/* Daily low-stock digest at LOW_STOCK_SUMMARY_HOUR (server time) */
+const DAY_MS = 24 * 60 * 60 * 1000;
+function msUntilHour(hour) {
+  const next = new Date();
+  next.setHours(Math.min(23, Math.max(0, Number(hour) || 0)), 0, 0, 0);
+  if (next <= new Date()) next.setDate(next.getDate() + 1);
+  return next - Date.now();
 }
+schedule('low-stock-summary', DAY_MS, () => sendLowStockSummary(), { initialDelayMs: msUntilHour(LOW_STOCK_SUMMARY_HOUR) });
+
+/* Batched "back in stock" messages for shoppers waiting on sold-out items */
+schedule(
+  'back-in-stock',
+  Math.max(1, Number(BACK_IN_STOCK_INTERVAL_MINUTES) || 15) * 60 * 1000,
+  () => sendBackInStockNotifications()
+);
+
+/* "Frequently bought together" scores, recomputed from orders in the background */
+const recommendationsJob = schedule(
+  'recommendations',
+  Math.max(5, Number(RECS_INTERVAL_MINUTES) || 360) * 60 * 1000,
+  () => rebuildRecommendations()
+);
+
+// Rebuild now (e.g. after importing orders). Returns { ok, products, pairs }
+app.post('/api/admin/recommendations/rebuild', requireAdmin, async (_req, res) => {
+  try {
+    const result = await recommendationsJob.run();
+    if (!result) return res.status(503).json({ ok:false, error:'Orders database unavailable' });
+    res.json({ ok:true, ...result });
+  } catch (e) {
+    console.error('Rebuild recommendations error:', e?.message || e);
+    res.status(500).json({ ok:false, error:'Failed to rebuild recommendations' });
+  }
+});
+
 app.post('/api/admin/login', (req, res) => {
   const { user, pass } = req.body || {};
   if (user === ADMIN_USER && pass === ADMIN_PASS) return res.json({ ok: true, token: ADMIN_TOKEN });
@@ -451,10 +516,11 @@ app.get('/api/admin/orders', requireAdmin, async (req, res) => {
     if (pstatus) filter.paymentStatus = pstatus;
     if (q) {
       filter.$or = [
-        { ref: new RegExp(q, 'i') },
-        { 'info.name': new RegExp(q, 'i') },
-        { 'info.phone': new RegExp(q, 'i') },
-        { 'info.email': new RegExp(q, 'i') }
+        { ref: new RegExp(escapeRegex(q), 'i') },
+        { ref: normalizeRef(q) }, // "2610 00042 3" as read out
+        { 'info.name': new RegExp(escapeRegex(q), 'i') },
+        { 'info.phone': new RegExp(escapeRegex(q), 'i') },
+        { 'info.email': new RegExp(escapeRegex(q), 'i') }
       ];
     }
     if (from || to) {
@@ -467,7 +533,7 @@ app.get('/api/admin/orders', requireAdmin, async (req, res) => {
       Order.find(filter).sort({ createdAt: -1 }).skip(skip).limit(Number(pageSize)),
       Order.countDocuments(filter)
     ]);
-    res.json({ ok: true, total, orders });
+    res.json({ ok: true, total, orders, transitions: { status: STATUS_TRANSITIONS, paymentStatus: PAYMENT_TRANSITIONS } });
   } catch (e) {
     console.error('Admin orders error:', e);
     res.status(500).json({ ok: false, error: 'Failed to fetch orders' });
@@ -482,10 +548,11 @@ app.get('/api/admin/orders/export.csv', requireAdmin, async (req, res) => {
     if (pstatus) filter.paymentStatus = pstatus;
     if (q) {
       filter.$or = [
-        { ref: new RegExp(q, 'i') },
-        { 'info.name': new RegExp(q, 'i') },
-        { 'info.phone': new RegExp(q, 'i') },
-        { 'info.email': new RegExp(q, 'i') }
+        { ref: new RegExp(escapeRegex(q), 'i') },
+        { ref: normalizeRef(q) }, // "2610 00042 3" as read out
+        { 'info.name': new RegExp(escapeRegex(q), 'i') },
+        { 'info.phone': new RegExp(escapeRegex(q), 'i') },
+        { 'info.email': new RegExp(escapeRegex(q), 'i') }
       ];
     }
     if (from || to) {
@@ -496,10 +563,10 @@ app.get('/api/admin/orders/export.csv', requireAdmin, async (req, res) => {
     const orders = await Order.find(filter).sort({ createdAt: -1 }).lean();
 
     const rows = [
-      ['ref','createdAt','name','phone','email','status','paymentStatus','deliveryZone','subtotal','deliveryFee','grandTotal','items']
+      ['ref','createdAt','name','phone','email','status','paymentStatus','deliveryZone','subtotal','savings','deliveryFee','grandTotal','refunded','netTotal','items']
     ];
     orders.forEach(o => {
-      const items = (o.items||[]).map(i => `${get(i,'product.title','Item')}×${i.qty}`).join('; ');
+      const items = (o.items||[]).map(i => `${itemTitle(i)}${i.sku ? ' [' + i.sku + ']' : ''}×${i.qty}`).join('; ');
       rows.push([
         o.ref,
         new Date(o.createdAt).toISOString(),
@@ -510,8 +577,11 @@ app.get('/api/admin/orders/export.csv', requireAdmin, async (req, res) => {
         o.paymentStatus,
         get(o,'info.deliveryZone',''),
         get(o,'info.subtotal',0),
+        get(o,'info.savings',0),
         get(o,'info.deliveryFee',0),
         get(o,'info.grandTotal',0),
+        get(o,'info.refunded',0),
+        get(o,'info.netTotal',get(o,'info.grandTotal',0)),
         items
       ]);
     });
@@ -530,57 +600,332 @@ app.get('/api/admin/orders/export.csv', requireAdmin, async (req, res) => {
   }
 });
 
+// Shipment lines for customer emails, e.g. "Shipment 1: on its way with DHL, tracking 123 — Tee × 2"
+const SHIPMENT_STATES = { preparing: 'being packed', dispatched: 'on its way', delivered: 'delivered' };
+function shipmentsHtml(order) {
+  const list = publicShipments(order);
+  if (!list.length) return '';
+  return `<p><b>Shipments:</b></p><ul>${list.map(s => {
+    const line = `Shipment ${s.number}: ${SHIPMENT_STATES[s.state]}` +
+      (s.carrier ? ` with ${s.carrier}` : '') + (s.trackingCode ? `, tracking ${s.trackingCode}` : '') +
+      ` — ${s.items.map(i => `${i.title} × ${i.qty}`).join(', ')}`;
+    return `<li>${esc(line)}${s.trackingUrl ? ` (<a href="${esc(s.trackingUrl)}">track parcel</a>)` : ''}</li>`;
+  }).join('')}</ul>`;
+}
+
+/** Email the customer what changed on their order, with its shipments and the updated receipt */
+async function sendOrderUpdateEmail(order, changed, note = '') {
+  const customerEmail = get(order, 'info.email', '');
+  const customerName  = get(order, 'info.name', 'Customer');
+  const ref = order.ref || '';
+  if (!customerEmail || !changed.length) return;
+  try {
+    const pdf = await buildInvoicePdf(order);
+    await mailer.sendMail({
+      from: MAIL_FROM || SMTP_USER,
+      to: customerEmail,
+      subject: `Update for your order ${ref} – LWG`,
+      html: `
+        <div style="font-family:system-ui,Segoe UI,Roboto,Arial">
+          <h3>Order ${esc(ref)} update</h3>
+          <p>Hi ${esc(customerName)},</p>
+          <p>We’ve updated your order:</p>
+          <ul>${changed.map(x=>`<li>${esc(x)}</li>`).join('')}</ul>
+          ${shipmentsHtml(order)}
+          ${note ? `<p><b>Note from us:</b><br>${esc(note)}</p>` : ''}
+          <p>Your updated receipt is attached.</p>
+        </div>
+      `,
+      attachments: [{ filename: `Receipt_${ref}.pdf`, content: pdf }]
+    });
+  } catch (e) {
+    console.error('Customer status email failed:', e?.message || e);
+  }
+}
+
 // PATCH /api/admin/orders/:id
 app.patch('/api/admin/orders/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, paymentStatus, note } = req.body || {};
-    const update = {};
-    if (typeof status === 'string') update.status = status;
-    if (typeof paymentStatus === 'string') update.paymentStatus = paymentStatus;
-
-    const order = await Order.findByIdAndUpdate(id, { $set: update }, { new: true });
-    if (!order) return res.status(404).json({ ok: false, error: 'Order not found' });
-
-    const changed = [];
-    if ('status' in update) changed.push('Status → ' + update.status);
-    if ('paymentStatus' in update) changed.push('Payment → ' + update.paymentStatus);
+    const { status, paymentStatus } = req.body || {};
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 1000) : '';
+    const wanted = {};
+    if (typeof status === 'string') wanted.status = status;
+    if (typeof paymentStatus === 'string') wanted.paymentStatus = paymentStatus;
+    if (!mongoose.isValidObjectId(id)) return res.status(404).json({ ok: false, error: 'Order not found' });
+
+    // A failed payment handed the stock back; a payment that recovers must hold it again first
+    let reserved = false;
+    if (wanted.paymentStatus && wanted.paymentStatus !== 'Failed' && !RESTOCK_STATUSES.includes(wanted.status)) {
+      const current = await Order.findById(id, { status: 1, paymentStatus: 1 }).lean();
+      if (current?.paymentStatus === 'Failed' && !RESTOCK_STATUSES.includes(current.status)) {
+        reserved = await reserveOrderAgain(id, { user: adminUser() });
+      }
+    }
 
-    const customerEmail = get(order, 'info.email', '');
-    const customerName  = get(order, 'info.name', 'Customer');
-    const ref = order.ref || '';
+    let result;
+    try {
+      result = await applyTransition(Order, id, wanted, { actor: adminUser(), note });
+    } catch (e) {
+      if (reserved) {
+        await restockOrder(id, { user: adminUser(), note: 'Payment change not saved' })
+          .catch(err => console.error('Restock failed:', err?.message || err));
+      }
+      throw e;
+    }
+    if (!result) return res.status(404).json({ ok: false, error: 'Order not found' });
+    const { order, changes } = result;
 
-    if (customerEmail && changed.length) {
+    if (RESTOCK_STATUSES.includes(order.status) || RESTOCK_PAYMENT_STATUSES.includes(order.paymentStatus)) {
       try {
-        const pdf = await buildInvoicePdf(order);
-        await mailer.sendMail({
-          from: MAIL_FROM || SMTP_USER,
-          to: customerEmail,
-          subject: `Update for your order ${ref} – LWG`,
-          html: `
-            <div style="font-family:system-ui,Segoe UI,Roboto,Arial">
-              <h3>Order ${esc(ref)} update</h3>
-              <p>Hi ${esc(customerName)},</p>
-              <p>We’ve updated your order:</p>
-              <ul>${changed.map(x=>`<li>${esc(x)}</li>`).join('')}</ul>
-              ${note ? `<p><b>Note from us:</b><br>${esc(note)}</p>` : ''}
-              <p>Your updated receipt is attached.</p>
-            </div>
-          `,
-          attachments: [{ filename: `Receipt_${ref}.pdf`, content: pdf }]
-        });
+        const why = RESTOCK_STATUSES.includes(order.status) ? `Order ${order.status}` : `Payment ${order.paymentStatus}`;
+        if (await restockOrder(order._id, { user: adminUser(), note: why })) order.stockReserved = false;
       } catch (e) {
-        console.error('Customer status email failed:', e?.message || e);
+        console.error('Restock failed:', e?.message || e);
       }
     }
 
+    if (order.status === 'Cancelled' && changes.some(c => c.field === 'status')) {
+      await resolveCancellation(order._id, 'accepted', { actor: adminUser(), note });
+    }
+
+    const changed = changes.map(c => (c.field === 'status' ? 'Status → ' : 'Payment → ') + c.to);
+
+    await sendOrderUpdateEmail(order, changed, note);
+
     res.json({ ok: true, order });
   } catch (e) {
+    if (e instanceof OrderStatusError || e instanceof InventoryError) {
+      return res.status(e.status).json({ ok: false, error: e.message, code: e.code, ...e.details });
+    }
     console.error('Admin update order error:', e?.message || e);
     res.status(500).json({ ok: false, error: 'Failed to update order' });
   }
 });
 
+/**
+ * POST /api/admin/orders/:id/cancel-request/decline
+ * Body: { note } — why the order goes ahead, emailed to the customer
+ * (to accept a request, move the order to Cancelled with PATCH /api/admin/orders/:id)
+ * Returns: { ok, order } | 404 (no order, or no open request)
+ */
+app.post('/api/admin/orders/:id/cancel-request/decline', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Order not found' });
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 1000) : '';
+    const order = await resolveCancellation(req.params.id, 'declined', { actor: adminUser(), note });
+    if (!order) return res.status(404).json({ ok: false, error: 'No open cancellation request for this order' });
+    await sendOrderUpdateEmail(order, ['We can’t cancel this order any more'], note);
+    res.json({ ok: true, order });
+  } catch (e) {
+    console.error('Decline cancellation error:', e?.message || e);
+    res.status(500).json({ ok: false, error: 'Failed to update order' });
+  }
+});
+
+/* =========================
+   Order edits (lib/orderEdit.js)
+   ========================= */
+const EditOrderSchema = z.object({
+  // { lineId, qty } keeps a line at its price; { id, sku?, qty } adds a product; lines left out are removed
+  items: z.array(z.union([
+    z.object({ lineId: z.string().min(1).max(40), qty: z.number().int().positive() }).strict(),
+    z.object({ id: z.string().trim().min(1), sku: z.string().trim().max(64).optional(), qty: z.number().int().positive() }).strict()
+  ], { errorMap: () => ({ message: 'Each item needs a lineId or a product id, and a quantity' }) }))
+    .min(1, 'An order needs at least one item').max(100).optional(),
+  deliveryZone: z.string().trim().optional(),
+  name: z.string().trim().min(1).max(200).optional(),
+  phone: z.string().trim().min(7).max(30).optional(),
+  email: z.string().trim().email().optional().or(z.literal('')),
+  address: z.string().trim().min(3).max(500).optional(),
+  note: z.string().trim().max(1000).optional().default('')
+});
+
+/**
+ * PATCH /api/admin/orders/:id/details
+ * Body: { items?, deliveryZone?, name?, phone?, email?, address?, note? } — only for New / Processing orders
+ * Totals are recomputed, stock moves by the difference and the customer gets the revised receipt.
+ * Returns: { ok, order, changes, balance } (balance = new total − old; settle it with the customer if they paid)
+ *          | 400 fields / UNKNOWN_LINE / INVALID_ZONE | 404 | 409 NOT_EDITABLE / HAS_SHIPMENTS / PRODUCT_UNAVAILABLE /
+ *            OUT_OF_STOCK / ORDER_CHANGED
+ */
+app.patch('/api/admin/orders/:id/details', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Order not found' });
+    const parsed = EditOrderSchema.safeParse(req.body || {});
+    if (!parsed.success) return sendValidationError(res, parsed.error);
+    const { note, ...input } = parsed.data;
+
+    const result = await editOrder(req.params.id, input, { actor: adminUser(), note });
+    if (!result) return res.status(404).json({ ok: false, error: 'Order not found' });
+    const { order, changes, previousTotal } = result;
+
+    await sendOrderUpdateEmail(order, changes, note);
+    const balance = Math.round((get(order, 'info.grandTotal', 0) - previousTotal) * 100) / 100;
+    res.json({ ok: true, order, changes, balance });
+  } catch (e) {
+    if (e instanceof OrderEditError || e instanceof PricingError || e instanceof InventoryError) {
+      return res.status(e.status).json({ ok: false, error: e.message, code: e.code, ...e.details });
+    }
+    console.error('Admin edit order error:', e?.message || e);
+    res.status(500).json({ ok: false, error: 'Failed to edit order' });
+  }
+});
+
+/* =========================
+   Shipments (lib/shipments.js)
+   ========================= */
+const isoDate = z.string().datetime({ offset: true, message: 'Use an ISO date, e.g. 2026-10-19T14:30:00Z' }).transform(v => new Date(v));
+const ShipmentFieldsSchema = z.object({
+  carrier: z.string().trim().max(100).optional(),
+  trackingCode: z.string().trim().max(100).optional(),
+  trackingUrl: z.union([z.string().trim().url('Enter a full link (https://…)').max(500), z.literal('')]).optional(),
+  note: z.string().trim().max(1000).optional(),
+  dispatchedAt: isoDate.optional(),
+  deliveredAt: isoDate.optional(),
+  proofOfDeliveryUrl: z.string().trim().url('Enter a full link (https://…)').max(500).optional(),
+  proofOfDelivery: z.object({ base64: z.string().min(1), filename: z.string().max(200).optional() }).optional() // photo / signature upload
+});
+const CreateShipmentSchema = ShipmentFieldsSchema.extend({
+  // omitted: everything not yet in a shipment
+  items: z.array(z.object({ lineId: z.string().min(1).max(40), qty: z.number().int().positive() })).max(200).optional()
+});
+
+function sendShipmentError(res, e, what) {
+  if (e instanceof ShipmentError || e instanceof OrderStatusError || e instanceof StorageError) {
+    return res.status(e.status).json({ ok: false, error: e.message, code: e.code, ...(e.details || {}) });
+  }
+  console.error(`${what} error:`, e?.message || e);
+  return res.status(500).json({ ok: false, error: 'Failed to update shipments' });
+}
+
+// Uploads a proof-of-delivery image, if one was sent, into data.proofOfDeliveryUrl; returns the asset
+async function storeDeliveryProof(req, data) {
+  if (!data.proofOfDelivery) return null;
+  const asset = await saveImage({
+    base64: data.proofOfDelivery.base64,
+    filename: data.proofOfDelivery.filename || 'delivery',
+    baseUrl: `${req.protocol}://${req.get('host')}`,
+    folder: 'deliveries'
+  });
+  data.proofOfDeliveryUrl = asset.url;
+  delete data.proofOfDelivery;
+  return asset;
+}
+
+// What a shipment change means to the customer ("Shipment 2 dispatched"); empty when nothing they'd care about
+function shipmentEvents(number, before, after) {
+  const events = [];
+  if (after.dispatchedAt && !before?.dispatchedAt) events.push(`Shipment ${number} dispatched`);
+  if (after.deliveredAt && !before?.deliveredAt) events.push(`Shipment ${number} delivered`);
+  if (before?.dispatchedAt && after.trackingCode && after.trackingCode !== before.trackingCode) {
+    events.push(`Shipment ${number} tracking code: ${after.trackingCode}`);
+  }
+  return events;
+}
+const statusEvents = (changes) => changes.map(c => 'Status → ' + c.to);
+
+/**
+ * GET /api/admin/orders/:id/shipments
+ * Returns: { ok, status, lines:[{ lineId, title, sku, qty, allocated, dispatched, remaining }], shipments }
+ */
+app.get('/api/admin/orders/:id/shipments', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Order not found' });
+    const order = await Order.findById(req.params.id, { status: 1, items: 1, shipments: 1 }).lean();
+    if (!order) return res.status(404).json({ ok: false, error: 'Order not found' });
+    res.json({
+      ok: true,
+      status: order.status,
+      lines: orderLines(order),
+      shipments: publicShipments(order).map((s, i) => ({ ...s, note: order.shipments[i].note || '', createdBy: order.shipments[i].createdBy || '' }))
+    });
+  } catch (e) {
+    sendShipmentError(res, e, 'GET shipments');
+  }
+});
+
+/**
+ * POST /api/admin/orders/:id/shipments
+ * Body: { items?:[{ lineId, qty }], carrier?, trackingCode?, trackingUrl?, note?, dispatchedAt?, deliveredAt?,
+ *         proofOfDeliveryUrl? | proofOfDelivery?:{ base64, filename? } }
+ * Returns: 201 { ok, shipment, order } | 400 fields | 404 | 409 ORDER_CLOSED / OVER_SHIPPED / NOTHING_TO_SHIP / ORDER_CHANGED
+ */
+app.post('/api/admin/orders/:id/shipments', requireAdmin, async (req, res) => {
+  let asset = null;
+  try {
+    const parsed = CreateShipmentSchema.safeParse(req.body || {});
+    if (!parsed.success) return sendValidationError(res, parsed.error);
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Order not found' });
+
+    const data = parsed.data;
+    asset = await storeDeliveryProof(req, data);
+    const result = await createShipment(req.params.id, data, { actor: adminUser() });
+    if (!result) {
+      await removeImages([asset].filter(Boolean));
+      return res.status(404).json({ ok: false, error: 'Order not found' });
+    }
+    const { order, shipment, changes } = result;
+    const changed = [...shipmentEvents(order.shipments.length, null, shipment), ...statusEvents(changes)];
+    await sendOrderUpdateEmail(order, changed, data.note);
+    res.status(201).json({ ok: true, shipment, order });
+  } catch (e) {
+    await removeImages([asset].filter(Boolean));
+    sendShipmentError(res, e, 'POST shipments');
+  }
+});
+
+/**
+ * PATCH /api/admin/orders/:id/shipments/:shipmentId
+ * Body: any of { carrier, trackingCode, trackingUrl, note, dispatchedAt, deliveredAt, proofOfDeliveryUrl | proofOfDelivery }
+ * Returns: { ok, shipment, order } | 400 fields / NOT_DISPATCHED / INVALID_TIME | 404
+ */
+app.patch('/api/admin/orders/:id/shipments/:shipmentId', requireAdmin, async (req, res) => {
+  let asset = null;
+  try {
+    const parsed = ShipmentFieldsSchema.safeParse(req.body || {});
+    if (!parsed.success) return sendValidationError(res, parsed.error);
+    const { id, shipmentId } = req.params;
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(shipmentId)) {
+      return res.status(404).json({ ok: false, error: 'Shipment not found' });
+    }
+
+    const data = parsed.data;
+    asset = await storeDeliveryProof(req, data);
+    const result = await updateShipment(id, shipmentId, data, { actor: adminUser() });
+    if (!result) {
+      await removeImages([asset].filter(Boolean));
+      return res.status(404).json({ ok: false, error: 'Shipment not found' });
+    }
+    const { order, shipment, before, changes } = result;
+    const number = order.shipments.findIndex(s => String(s._id) === String(shipmentId)) + 1;
+    const changed = [...shipmentEvents(number, before, shipment), ...statusEvents(changes)];
+    await sendOrderUpdateEmail(order, changed, changed.length ? data.note : '');
+    res.json({ ok: true, shipment, order });
+  } catch (e) {
+    await removeImages([asset].filter(Boolean));
+    sendShipmentError(res, e, 'PATCH shipment');
+  }
+});
+
+/**
+ * DELETE /api/admin/orders/:id/shipments/:shipmentId
+ * Only for shipments not yet dispatched. Returns: { ok, order } | 404 | 409 SHIPMENT_DISPATCHED
+ */
+app.delete('/api/admin/orders/:id/shipments/:shipmentId', requireAdmin, async (req, res) => {
+  try {
+    const { id, shipmentId } = req.params;
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(shipmentId)) {
+      return res.status(404).json({ ok: false, error: 'Shipment not found' });
+    }
+    const order = await deleteShipment(id, shipmentId);
+    if (!order) return res.status(404).json({ ok: false, error: 'Shipment not found' });
+    res.json({ ok: true, order });
+  } catch (e) {
+    sendShipmentError(res, e, 'DELETE shipment');
+  }
+});
+
 /* =========================
    Proof upload (Cloudinary)
    ========================= */
@@ -604,17 +949,19 @@ async function handleCreateOrder(req, res) {
     const incoming = IncomingOrderSchema.parse((req.body && (req.body.order || req.body)) || {});
     const proof = ProofSchema.parse(req.body ? req.body.proof : undefined);
 
-    const ref = incoming.id || ('LWG-' + Math.random().toString(36).slice(2,8).toUpperCase());
-    const subtotal = Number.isFinite(Number(incoming.total)) ? Number(incoming.total)
-      : (Array.isArray(incoming.items) ? incoming.items.reduce((s,i)=> s + (i.product.price * i.qty), 0) : 0);
-
+    // Reprice every line from the catalog; the browser's numbers are only compared, never stored
+    if (!mongoose.connection || mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ ok: false, error: 'Catalog unavailable, please try again shortly' });
+    }
     const zone = get(incoming, 'info.deliveryZone', '');
-    const deliveryFee = Number.isFinite(Number(get(incoming,'info.deliveryFee', NaN)))
-      ? Number(get(incoming,'info.deliveryFee', 0))
-      : feeFromZone(zone);
-    const grandTotal = Number.isFinite(Number(get(incoming,'info.grandTotal', NaN)))
-      ? Number(get(incoming,'info.grandTotal', 0))
-      : (subtotal + deliveryFee);
+    const priced = await priceOrder({ items: incoming.items, deliveryZone: zone });
+    assertClientTotals(incoming, priced);
+    const { items, subtotal, savings, deliveryFee, grandTotal } = priced;
+
+    // Hold the stock before anything else: refuses the order if any line would go negative. Only then
+    // take the sequential ref from the counter, so refused orders leave no gaps (client-side ids such as
+    // offline refs are not reused)
+    const ref = await reserveStock(items, { orderRef: () => nextOrderRef(Counter) });
 
     let proofUrl = null;
     try {
@@ -627,17 +974,24 @@ async function handleCreateOrder(req, res) {
       }
     } catch (e) { console.error('Cloud upload failed:', e?.message || e); }
 
-    let saved = null;
-    if (mongoose.connection && mongoose.connection.readyState === 1) {
+    let saved;
+    try {
       saved = await Order.create({
         ref,
-        info: { ...incoming.info, deliveryFee, subtotal, grandTotal },
-        items: incoming.items,
+        info: { ...incoming.info, deliveryFee, subtotal, savings, grandTotal },
+        items,
         proofUrl,
+        stockReserved: true,
         paymentStatus: 'Pending',
-        status: 'New'
+        status: 'New',
+        history: [placedEntry()]
       });
+    } catch (e) {
+      await releaseStock(items, { orderRef: ref, note: 'Order could not be saved' })
+        .catch(err => console.error('Stock release failed:', err?.message || err));
+      throw e;
     }
+    watchStock(items.map(i => i.productId)); // low / out-of-stock alerts, in the background
 
     const name = get(incoming, 'info.name', 'Customer');
     const phone = get(incoming, 'info.phone', '');
@@ -646,8 +1000,9 @@ async function handleCreateOrder(req, res) {
     const addr = String(get(incoming, 'info.address', '')).replace(/\n/g, ' ').trim();
     const payDetails = get(incoming, 'info.payment_details', null);
 
-    const itemsTxt = (incoming.items||[]).map(i => `• ${i.product.title} × ${i.qty} — NLe ${i.product.price}`).join('\n');
-    const itemsHtml = (incoming.items||[]).map(i => `<li>${esc(i.product.title)} × ${esc(i.qty)} — NLe ${esc(i.product.price)}</li>`).join('');
+    const itemsTxt = items.map(i => `• ${itemTitle(i)} × ${i.qty} — ${itemPrice(i)}`).join('\n');
+    const itemsHtml = items.map(i => `<li>${esc(itemTitle(i))} × ${esc(i.qty)} — ${esc(itemPrice(i))}</li>`).join('');
+    const savedTxt = savings > 0 ? `\n- You saved: NLe ${savings}` : '';
     const chargesHTML = `
       ${zone ? `<p><b>Delivery area:</b> ${esc(zone)}</p>` : ''}
       <p><b>Charges:</b></p>
@@ -655,18 +1010,13 @@ async function handleCreateOrder(req, res) {
         <li><b>Subtotal:</b> NLe ${esc(subtotal)}</li>
         <li><b>Delivery:</b> NLe ${esc(deliveryFee)}</li>
         <li><b>Total:</b> <b>NLe ${esc(grandTotal)}</b></li>
+        ${savings > 0 ? `<li style="color:#0a7d32"><b>You saved:</b> NLe ${esc(savings)}</li>` : ''}
       </ul>`;
     const payHtml = payDetails ? `<p><b>Payment details:</b></p>${kvHTML(payDetails)}` : '';
     const payTxt  = payDetails ? `\nPayment details:\n${kvBlock(payDetails)}` : '';
 
-    const orderForPdf = saved || {
-      ref,
-      createdAt: Date.now(),
-      info: { ...incoming.info, deliveryFee, subtotal, grandTotal },
-      items: incoming.items
-    };
     let pdfBuf = null;
-    try { pdfBuf = await buildInvoicePdf(orderForPdf); } catch {}
+    try { pdfBuf = await buildInvoicePdf(saved); } catch {}
 
     // Email admin
     try {
@@ -697,7 +1047,7 @@ Payment: ${pay}${payTxt}
 ${zone ? `Delivery area: ${zone}\n` : ''}Charges:
 - Subtotal: NLe ${subtotal}
 - Delivery: NLe ${deliveryFee}
-- Total:    NLe ${grandTotal}
+- Total:    NLe ${grandTotal}${savedTxt}
 
 Items:
 ${itemsTxt}
@@ -753,7 +1103,7 @@ Payment: ${pay}${payTxt}
 ${zone ? `Delivery area: ${zone}\n` : ''}Charges:
 - Subtotal: NLe ${subtotal}
 - Delivery: NLe ${deliveryFee}
-- Total:    NLe ${grandTotal}
+- Total:    NLe ${grandTotal}${savedTxt}
 
 Items:
 ${itemsTxt}
@@ -782,7 +1132,7 @@ ${proofUrl ? '📎 Proof attached (see admin email).' : ''}` });
 `✅ LWG Order Received (${ref})
 Thanks, ${name}!
 Payment: ${pay}
-${zone ? `Delivery area: ${zone}\n` : ''}Total: NLe ${grandTotal}
+${zone ? `Delivery area: ${zone}\n` : ''}Total: NLe ${grandTotal}${savings > 0 ? ` (you saved NLe ${savings})` : ''}
 We will contact you soon.` });
         }
       } catch (e) { console.error('Customer WA failed:', e?.message || e); }
@@ -790,12 +1140,16 @@ We will contact you soon.` });
 
     return res.json({ ok: true, ref, id: saved?._id || null, proofUrl: proofUrl || null });
   } catch (e) {
+    if (e instanceof PricingError || e instanceof InventoryError) {
+      return res.status(e.status).json({ ok: false, error: e.message, code: e.code, ...e.details });
+    }
     console.error('Create order error:', e?.message || e);
     return res.status(400).json({ ok: false, error: e?.message || 'Invalid order' });
   }
 }
-app.post('/api/orders', handleCreateOrder);
-app.post('/api/notify-order', handleCreateOrder);
+// Idempotency-Key: retries after a timeout get the first response back instead of a second order
+app.post('/api/orders', idempotency('orders'), handleCreateOrder);
+app.post('/api/notify-order', idempotency('orders'), handleCreateOrder);
 
 /* =========================
    Customer endpoints
@@ -804,13 +1158,13 @@ app.get('/api/orders/track', noStore, async (req, res) => {
   try {
     const { ref, phone, email } = req.query;
     if (!ref || (!phone && !email)) return res.status(400).json({ ok:false, error:'Provide ref and phone or email' });
+    if (isMistypedRef(ref)) {
+      return res.status(400).json({ ok:false, code:'INVALID_REF', error:'That order reference has a typo. Please check the digits.' });
+    }
     if (!mongoose.connection || mongoose.connection.readyState !== 1) {
       return res.status(503).json({ ok:false, error:'Orders database unavailable' });
     }
-    const filter = { ref };
-    if (phone) filter['info.phone'] = phone;
-    if (email) filter['info.email'] = email;
-    const order = await Order.findOne(filter).lean();
+    const order = await Order.findOne(identityFilter({ ref, phone, email })).lean();
     if (!order) return res.status(404).json({ ok:false, error:'Order not found' });
 
     const o = {
@@ -818,6 +1172,9 @@ app.get('/api/orders/track', noStore, async (req, res) => {
       createdAt: order.createdAt,
       status: order.status,
       paymentStatus: order.paymentStatus,
+      history: publicHistory(order),
+      shipments: publicShipments(order),
+      cancel: cancelOptions(order),
       info: {
         name: get(order, 'info.name', ''),
         phone: get(order, 'info.phone', ''),
@@ -825,14 +1182,21 @@ app.get('/api/orders/track', noStore, async (req, res) => {
         deliveryZone: get(order, 'info.deliveryZone', ''),
         deliveryFee: get(order, 'info.deliveryFee', 0),
         subtotal: get(order, 'info.subtotal', 0),
+        savings: get(order, 'info.savings', 0),
         grandTotal: get(order, 'info.grandTotal', 0),
+        refunded: get(order, 'info.refunded', 0),
+        netTotal: get(order, 'info.netTotal', get(order, 'info.grandTotal', 0)),
         address: get(order, 'info.address', '')
       },
       items: (order.items||[]).map(x => ({
         qty: x.qty,
+        sku: x.sku || '',
+        variant: x.variant || '',
+        sale: x.sale || '',
         product: {
           title: get(x, 'product.title', ''),
           price: get(x, 'product.price', 0),
+          compareAtPrice: get(x, 'product.compareAtPrice', null),
           image: get(x, 'product.image', '')
         }
       }))
@@ -844,6 +1208,82 @@ app.get('/api/orders/track', noStore, async (req, res) => {
   }
 });
 
+const CancelSchema = z.object({
+  ref: z.string({ required_error: 'Order reference is required' }).trim().min(1, 'Order reference is required'),
+  phone: z.string().trim().optional(),
+  email: z.string().trim().optional(),
+  reason: z.string({ required_error: 'Please tell us why' }).trim().min(3, 'Please tell us why').max(500)
+}).refine(d => d.phone || d.email, { path: ['phone'], message: 'Provide the phone or email used for the order' });
+
+/**
+ * POST /api/orders/cancel
+ * Body: { ref, phone | email, reason }
+ * Orders that are New and unpaid, or placed within CANCEL_WINDOW_MINUTES, are cancelled and restocked
+ * (outcome 'cancelled'); Processing ones get a request for the shop to decide on (outcome 'requested').
+ * The admins are told either way.
+ * Returns: { ok, outcome, order:{ status, cancel } } | 400 | 404 | 409 NOT_CANCELLABLE / REQUEST_OPEN / ORDER_CHANGED
+ */
+app.post('/api/orders/cancel', noStore, async (req, res) => {
+  const parsed = CancelSchema.safeParse(req.body || {});
+  if (!parsed.success) return sendValidationError(res, parsed.error);
+  const { ref, phone, email, reason } = parsed.data;
+  try {
+    if (isMistypedRef(ref)) {
+      return res.status(400).json({ ok:false, code:'INVALID_REF', error:'That order reference has a typo. Please check the digits.' });
+    }
+    const found = await Order.findOne(identityFilter({ ref, phone, email })).lean();
+    if (!found) return res.status(404).json({ ok:false, error:'Order not found' });
+
+    let order, outcome;
+    let current = found;
+    if (cancelOptions(found).canCancel) {
+      // Only from the state just checked: if an admin moved the order in between, it becomes a request below
+      const result = await applyTransition(Order, found._id, { status: 'Cancelled' }, {
+        actor: 'customer', note: reason, expect: { status: found.status, paymentStatus: found.paymentStatus },
+      }).catch((e) => {
+        if (e instanceof OrderStatusError && e.code === 'ORDER_CHANGED') return undefined;
+        throw e;
+      });
+      if (result === null) return res.status(404).json({ ok:false, error:'Order not found' });
+      if (result) {
+        ({ order } = result);
+        outcome = 'cancelled';
+        try {
+          if (await restockOrder(order._id, { user: 'customer', note: 'Cancelled by customer' })) order.stockReserved = false;
+        } catch (e) {
+          console.error('Restock failed:', e?.message || e);
+        }
+        await sendOrderUpdateEmail(order, ['Status → Cancelled'], '');
+      } else {
+        current = await Order.findById(found._id).lean();
+        if (!current) return res.status(404).json({ ok:false, error:'Order not found' });
+        if (cancelOptions(current).canCancel) {
+          return res.status(409).json({ ok:false, code:'ORDER_CHANGED', error:'Your order was just updated; please try again' });
+        }
+      }
+    }
+    if (!outcome) {
+      order = await requestCancellation(current, reason);
+      outcome = 'requested';
+    }
+
+    const paid = order.paymentStatus === 'Paid';
+    const subject = outcome === 'cancelled'
+      ? `❌ Order ${order.ref} cancelled by the customer${paid ? ' – refund due' : ''}`
+      : `⚠️ Cancellation requested for ${order.ref} (${order.status})`;
+    const text = `${get(order, 'info.name', 'Customer')} · ${get(order, 'info.phone', '')}\nTotal: NLe ${get(order, 'info.grandTotal', 0)} · Payment: ${order.paymentStatus || 'Pending'}\nReason: ${reason}`;
+    notifyAdmin({ subject, text, html: `<p><b>${esc(subject)}</b></p><p style="white-space:pre-wrap">${esc(text)}</p>` });
+
+    res.json({ ok:true, outcome, order: { status: order.status, cancel: cancelOptions(order) } });
+  } catch (e) {
+    if (e instanceof CancellationError || e instanceof OrderStatusError) {
+      return res.status(e.status).json({ ok:false, error: e.message, code: e.code, ...e.details });
+    }
+    console.error('Customer cancel error:', e?.message || e);
+    res.status(500).json({ ok:false, error:'Failed to cancel order' });
+  }
+});
+
 app.get('/api/orders/by-contact', async (req, res) => {
   try {
     const { phone, email, page = 1, pageSize = 20 } = req.query;
@@ -872,14 +1312,21 @@ app.get('/api/orders/by-contact', async (req, res) => {
         deliveryZone: get(order, 'info.deliveryZone', ''),
         deliveryFee: get(order, 'info.deliveryFee', 0),
         subtotal: get(order, 'info.subtotal', 0),
+        savings: get(order, 'info.savings', 0),
         grandTotal: get(order, 'info.grandTotal', 0),
+        refunded: get(order, 'info.refunded', 0),
+        netTotal: get(order, 'info.netTotal', get(order, 'info.grandTotal', 0)),
         address: get(order, 'info.address', '')
       },
       items: (order.items||[]).map(x => ({
         qty: x.qty,
+        sku: x.sku || '',
+        variant: x.variant || '',
+        sale: x.sale || '',
         product: {
           title: get(x, 'product.title', ''),
           price: get(x, 'product.price', 0),
+          compareAtPrice: get(x, 'product.compareAtPrice', null),
           image: get(x, 'product.image', '')
         }
       }))
@@ -897,18 +1344,16 @@ app.get('/api/orders/receipt.pdf', noStore, async (req, res) => {
   try {
     const { ref, phone, email } = req.query;
     if (!ref || (!phone && !email)) return res.status(400).send('Missing ref/identity');
+    if (isMistypedRef(ref)) return res.status(400).send('Invalid order reference');
     if (!mongoose.connection || mongoose.connection.readyState !== 1) {
       return res.status(503).send('DB unavailable');
     }
-    const filter = { ref };
-    if (phone) filter['info.phone'] = phone;
-    if (email) filter['info.email'] = email;
-    const order = await Order.findOne(filter).lean();
+    const order = await Order.findOne(identityFilter({ ref, phone, email })).lean();
     if (!order) return res.status(404).send('Not found');
 
     const pdf = await buildInvoicePdf(order);
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="Receipt_${ref}.pdf"`);
+    res.setHeader('Content-Disposition', `attachment; filename="Receipt_${order.ref}.pdf"`);
     res.send(pdf);
   } catch (e) {
     console.error('Receipt PDF error:', e?.message || e);
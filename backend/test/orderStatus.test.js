@@ -0,0 +1,50 @@
+// @lwg/order-rules/orderStatus.js applyTransition against an in-memory Order model
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTransition, OrderStatusError } from '@lwg/order-rules/orderStatus.js';
+
+/** Just enough of the Order model: findById(…).lean() and a conditional findOneAndUpdate */
+function fakeOrders(doc) {
+  return {
+    doc,
+    findById(_id, projection) {
+      const copy = () => structuredClone(this.doc);
+      return projection ? { lean: async () => copy() } : Promise.resolve(copy());
+    },
+    async findOneAndUpdate(filter, update) {
+      if (filter.status !== (this.doc.status ?? null) || filter.paymentStatus !== (this.doc.paymentStatus ?? null)) return null;
+      Object.assign(this.doc, update.$set);
+      this.doc.history.push(...update.$push.history.$each);
+      return structuredClone(this.doc);
+    },
+  };
+}
+
+test('moves the status and records it', async () => {
+  const Order = fakeOrders({ _id: 1, status: 'New', paymentStatus: 'Pending', history: [] });
+  const { order, changes } = await applyTransition(Order, 1, { status: 'Processing' }, { actor: 'admin' });
+  assert.equal(order.status, 'Processing');
+  assert.deepEqual(changes.map(c => [c.from, c.to, c.actor]), [['New', 'Processing', 'admin']]);
+});
+
+test('refuses moves the table does not allow', async () => {
+  const Order = fakeOrders({ _id: 1, status: 'Completed', paymentStatus: 'Paid', history: [] });
+  await assert.rejects(applyTransition(Order, 1, { status: 'New' }),
+    (e) => e instanceof OrderStatusError && e.code === 'INVALID_TRANSITION');
+});
+
+test('expect: an order moved since the caller checked it is left alone', async () => {
+  const Order = fakeOrders({ _id: 1, status: 'Processing', paymentStatus: 'Pending', history: [] });
+  await assert.rejects(
+    applyTransition(Order, 1, { status: 'Cancelled' }, { expect: { status: 'New', paymentStatus: 'Pending' } }),
+    (e) => e instanceof OrderStatusError && e.code === 'ORDER_CHANGED'
+  );
+  assert.equal(Order.doc.status, 'Processing');
+  assert.equal(Order.doc.history.length, 0);
+});
+
+test('expect: a legacy order without a status matches an expected undefined', async () => {
+  const Order = fakeOrders({ _id: 1, history: [] });
+  const { order } = await applyTransition(Order, 1, { status: 'Cancelled' }, { expect: { status: undefined, paymentStatus: undefined } });
+  assert.equal(order.status, 'Cancelled');
+});
@@ -0,0 +1,58 @@
+// GET /api/products?facets=1 without a database: Product is mocked and the aggregation
+// pipeline is checked the way MongoDB would reject it.
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import productsRoutes from '../routes/products.js';
+
+mongoose.set('bufferCommands', false); // an unmocked query fails instead of hanging
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function mockCatalog() {
+  const pipelines = [];
+  const chain = { sort: () => chain, collation: () => chain, skip: () => chain, limit: () => chain, lean: async () => [] };
+  mock.method(Product, 'find', () => chain);
+  mock.method(Product, 'countDocuments', async () => 0);
+  mock.method(Product, 'aggregate', async (pipeline) => {
+    pipelines.push(pipeline);
+    const stages = [pipeline, ...Object.values(pipeline.find(s => s.$facet)?.$facet || {})];
+    for (const stage of stages.flat().filter(s => '$match' in s)) {
+      if (!isPlainObject(stage.$match)) throw new Error('the match filter must be an expression in an object');
+    }
+    return [{ categories: [], tags: [], price: [], stock: [] }];
+  });
+  return pipelines;
+}
+
+async function get(path) {
+  const app = express().use('/api/products', productsRoutes);
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.close();
+  }
+}
+
+afterEach(() => mock.restoreAll());
+
+test('facets without a search term', async () => {
+  const pipelines = mockCatalog();
+  const { status, body } = await get('/api/products?facets=1');
+  assert.equal(status, 200);
+  assert.deepEqual(body.facets, { categories: [], tags: [], price: [], stock: { inStock: 0, outOfStock: 0 } });
+  assert.deepEqual(pipelines[0][0], { $match: {} });
+});
+
+test('facets with a search term match it in the first stage only', async () => {
+  const pipelines = mockCatalog();
+  const { status } = await get('/api/products?facets=1&q=hoodie&inStock=1');
+  assert.equal(status, 200);
+  const [first, facet] = pipelines[0];
+  assert.match(JSON.stringify(first.$match), /hoodie/);
+  assert.doesNotMatch(JSON.stringify(facet.$facet), /hoodie/);
+});
@@ -0,0 +1,95 @@
+// PUT/PATCH /api/products/:id stock handling without a database: the stored product is a plain
+// object, and save() only writes when the precondition in `$where` still holds, like MongoDB.
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import InventoryMovement from '../models/InventoryMovement.js';
+import productsRoutes from '../routes/products.js';
+
+mongoose.set('bufferCommands', false); // an unmocked query fails instead of hanging
+
+const ID = '64b000000000000000000001';
+let stored;
+
+/** Enough of MongoDB's matching for the guards updateProduct builds */
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([k, v]) => {
+    if (k === '$and') return v.every(f => matches(doc, f));
+    if (k === 'variants') return doc.variants.some(x => matches(x, v.$elemMatch));
+    return doc[k] === v;
+  });
+}
+
+function mockStore() {
+  mock.method(Product, 'findById', async () => Product.hydrate(structuredClone(stored)));
+  mock.method(Product, 'find', () => ({ lean: async () => [] }));
+  mock.method(InventoryMovement, 'insertMany', async () => []);
+  mock.method(Product.prototype, 'save', async function () {
+    if (this.variants?.length) this.stock = this.variants.reduce((s, v) => s + v.stock, 0);
+    if (!matches(stored, this.$where)) throw new mongoose.Error.DocumentNotFoundError({ _id: ID }, 'Product', 0, {});
+    stored = { ...stored, ...this.toObject({ depopulate: true }) };
+    return this;
+  });
+}
+
+async function send(method, body) {
+  const app = express().use(express.json()).use('/api/products', productsRoutes);
+  const server = app.listen(0);
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/products/${ID}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-token' },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    server.close();
+  }
+}
+
+beforeEach(() => {
+  process.env.ADMIN_TOKEN = 'test-token';
+  stored = { _id: new mongoose.Types.ObjectId(ID), title: 'Tee', price: 10, stock: 5, status: 'published', variants: [] };
+  mockStore();
+});
+afterEach(() => mock.restoreAll());
+
+test('a PUT without stock keeps the stock', async () => {
+  const { status } = await send('PUT', { title: 'Tee', price: 12 });
+  assert.equal(status, 200);
+  assert.equal(stored.stock, 5);
+  assert.equal(stored.price, 12);
+});
+
+test('an unchanged stock does not undo a reservation made while the form was open', async () => {
+  stored.stock = 4; // one unit reserved after the admin loaded 5
+  const { status } = await send('PUT', { title: 'Tee (new)', price: 10, stock: 5, expectedStock: 5 });
+  assert.equal(status, 200);
+  assert.equal(stored.stock, 4);
+  assert.equal(stored.title, 'Tee (new)');
+});
+
+test('a changed stock is refused once the stock moved', async () => {
+  stored.stock = 4;
+  const { status, body } = await send('PATCH', { stock: 20, expectedStock: 5 });
+  assert.equal(status, 409);
+  assert.equal(body.code, 'STOCK_CHANGED');
+  assert.equal(stored.stock, 4);
+
+  const retry = await send('PATCH', { stock: 20, expectedStock: 4 });
+  assert.equal(retry.status, 200);
+  assert.equal(stored.stock, 20);
+});
+
+test('variants sent without stock keep theirs', async () => {
+  stored.variants = [{ sku: 'TEE-M', options: {}, stock: 3 }, { sku: 'TEE-L', options: {}, stock: 2 }];
+  stored.stock = 5;
+  const { status } = await send('PATCH', {
+    variants: [{ sku: 'TEE-M' }, { sku: 'TEE-L', stock: 6, expectedStock: 2 }, { sku: 'TEE-XL' }],
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(stored.variants.map(v => [v.sku, v.stock]), [['TEE-M', 3], ['TEE-L', 6], ['TEE-XL', 0]]);
+  assert.equal(stored.stock, 9);
+});
@@ -0,0 +1,45 @@
+// lib/scheduler.js with mocked timers: the interval counts from the first (delayed) run
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { schedule, getJob } from '../lib/scheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+const settle = () => new Promise(setImmediate); // let a run finish before the next tick
+
+// the scheduler skips jobs while Mongo is down
+beforeEach(() => { mongoose.connection.readyState = 1; });
+afterEach(() => { mongoose.connection.readyState = 0; });
+
+test('a delayed job runs at the delay and then once per interval', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+
+  let runs = 0;
+  const job = schedule('test-daily', 24 * HOUR, async () => { runs += 1; }, { initialDelayMs: 5 * HOUR });
+  t.after(() => job.stop());
+
+  t.mock.timers.tick(5 * HOUR - 1);
+  assert.equal(runs, 0);
+  t.mock.timers.tick(1);
+  await settle();
+  assert.equal(runs, 1);
+  t.mock.timers.tick(24 * HOUR - 1);
+  await settle();
+  assert.equal(runs, 1, 'no extra run 24h after boot');
+  t.mock.timers.tick(1);
+  await settle();
+  assert.equal(runs, 2);
+});
+
+test('stop clears both timers', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+
+  let runs = 0;
+  const job = schedule('test-stopped', HOUR, async () => { runs += 1; }, { initialDelayMs: HOUR });
+  t.mock.timers.tick(HOUR);
+  await settle();
+  job.stop();
+  t.mock.timers.tick(5 * HOUR);
+  assert.equal(runs, 1);
+  assert.equal(getJob('test-stopped'), undefined);
+});
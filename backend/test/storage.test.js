@@ -0,0 +1,50 @@
+// lib/storage.js local adapter: renditions on disk, and upload body limits that fit their file caps
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lwg-uploads-'));
+process.env.UPLOAD_DIR = dir;
+process.env.MEDIA_STORAGE = 'local';
+const { saveImage, removeImages, uploadBodyLimit, IMAGE_SIZES, MAX_IMAGE_BYTES, StorageError } = await import('../lib/storage.js');
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: '#c0ffee' } }).png().toBuffer();
+const fileOf = (url) => path.join(dir, url.replace(/^\/uploads\//, ''));
+
+test('local images get thumb / card / zoom renditions that fit their size', async () => {
+  const asset = await saveImage({ base64: (await png(2000, 1000)).toString('base64'), filename: 'tee.png' });
+  assert.equal(asset.provider, 'local');
+  assert.deepEqual([asset.width, asset.height], [2000, 1000]);
+  assert.deepEqual(Object.keys(asset.sizes), Object.keys(IMAGE_SIZES));
+  for (const [size, px] of Object.entries(IMAGE_SIZES)) {
+    const meta = await sharp(fileOf(asset.sizes[size])).metadata();
+    assert.equal(meta.format, 'webp');
+    assert.equal(Math.max(meta.width, meta.height), px, size);
+  }
+
+  await removeImages([asset]);
+  assert.deepEqual(await fs.readdir(path.join(dir, 'products')), []);
+});
+
+test('small images are not enlarged', async () => {
+  const asset = await saveImage({ base64: (await png(300, 200)).toString('base64'), filename: 'icon.png' });
+  const zoom = await sharp(fileOf(asset.sizes.zoom)).metadata();
+  assert.deepEqual([zoom.width, zoom.height], [300, 200]);
+});
+
+test('a file that only looks like an image is refused', async () => {
+  const fake = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.alloc(64)]);
+  await assert.rejects(saveImage({ base64: fake.toString('base64'), filename: 'fake.jpg' }), StorageError);
+});
+
+test('upload body limits hold their whole file cap as base64', () => {
+  const body = (files) => JSON.stringify({ files: Array.from({ length: files }, () => ({ base64: 'A'.repeat(Math.ceil(MAX_IMAGE_BYTES / 3) * 4) })) }).length;
+  assert.ok(uploadBodyLimit(10) > body(10));
+  assert.ok(uploadBodyLimit(3) > body(3));
+});
@@ -6,7 +6,7 @@ const { Schema } = mongoose;
 /* -------------------------------------------------------------------------- */
 /*                                 Constants                                  */
 /* -------------------------------------------------------------------------- */
-const ALLOWED_STATUSES = ['New', 'Processing', 'Shipped', 'Completed', 'Cancelled'];
+const ALLOWED_STATUSES = ['New', 'Processing', 'Partially Shipped', 'Shipped', 'Delivered', 'Completed', 'Cancelled'];
 const PAYMENT_STATES   = ['Pending', 'Paid', 'Failed', 'Refunded'];
 
 /* -------------------------------------------------------------------------- */
@@ -55,11 +55,36 @@ const orderSchema = new Schema(
       deliveryZone: { type: String, trim: true },    // duplicate for quick filter
       payment: { type: String, trim: true },         // e.g., "Orange Money"
       payment_details: { type: Schema.Types.Mixed }, // gateway metadata / proof
+      refunded: { type: Number },                    // refunds on returns (main API, lib/returns.js)
+      netTotal: { type: Number },                    // grandTotal - refunded
       note:    { type: String, trim: true },         // optional note from admin/customer
     },
 
     // lifecycle status
     status: { type: String, enum: ALLOWED_STATUSES, default: 'New', index: true },
+
+    // customer's request to cancel an order being prepared (open | accepted | declined; main API lib/cancellation.js)
+    cancelRequest: {
+      status:     { type: String },
+      reason:     { type: String, trim: true },
+      note:       { type: String, trim: true },
+      at:         { type: Date },
+      resolvedBy: { type: String },
+      resolvedAt: { type: Date },
+    },
+
+    // every status / payment change, oldest first (moves checked in @lwg/order-rules/orderStatus.js)
+    history: [
+      {
+        _id:   false,
+        field: { type: String, enum: ['status', 'paymentStatus', 'order', 'cancellation'] }, // 'order' = admin edit, 'cancellation' = customer request (main API)
+        from:  { type: String, default: null },
+        to:    { type: String },
+        actor: { type: String, trim: true },   // 'customer', 'system' or the admin user
+        note:  { type: String, trim: true },
+        at:    { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
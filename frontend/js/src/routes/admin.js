@@ -4,6 +4,7 @@ import jwt from 'jsonwebtoken';
 import rateLimit from 'express-rate-limit';
 import { z } from 'zod';
 import Order from '../models/Order.js';
+import { applyTransition, OrderStatusError, ORDER_STATUSES, PAYMENT_STATUSES } from '@lwg/order-rules/orderStatus.js';
 
 const router = express.Router();
 
@@ -16,8 +17,11 @@ const ADMIN_PASS   = process.env.ADMIN_PASS || 'admin123';
 const ADMIN_TOKEN  = process.env.ADMIN_TOKEN || '';     // if set, we'll return/expect this exact token
 const JWT_SECRET   = process.env.JWT_SECRET || '';      // alternative to ADMIN_TOKEN
 
-const ALLOWED_STATUSES = ['New', 'Processing', 'Shipped', 'Completed', 'Cancelled'];
-const ALLOWED_PSTATUS  = ['Pending', 'Paid', 'Failed'];
+const ALLOWED_STATUSES = ORDER_STATUSES;
+const ALLOWED_PSTATUS  = PAYMENT_STATUSES;
+
+// Search terms are matched literally, so "(" or "+" in a query can't break the regex
+const escapeRegex = (s = '') => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 function issueToken(payload = { role: 'admin' }) {
   // Prefer static ADMIN_TOKEN for simple setups
@@ -66,7 +70,7 @@ const ListQuerySchema = z.object({
   page: z.coerce.number().int().positive().optional().default(1),
   pageSize: z.coerce.number().int().positive().max(200).optional().default(20),
   q: z.string().optional(),          // search ref/name/phone/email
-  status: z.string().optional(),     // New|Processing|Shipped|Completed|Cancelled
+  status: z.string().optional(),     // New|Processing|Partially Shipped|Shipped|Delivered|Completed|Cancelled
   pstatus: z.string().optional(),    // Pending|Paid|Failed
   from: z.string().optional(),       // YYYY-MM-DD (date only ok)
   to: z.string().optional(),         // YYYY-MM-DD
@@ -164,7 +168,7 @@ router.get('/orders', requireAdmin, listLimiter, async (req, res) => {
 
     // search
     if (q && q.trim()) {
-      const term = String(q).trim();
+      const term = escapeRegex(String(q).trim());
       filter.$or = [
         { ref: { $regex: term, $options: 'i' } },
         { 'info.name':  { $regex: term, $options: 'i' } },
@@ -190,6 +194,7 @@ router.get('/orders', requireAdmin, listLimiter, async (req, res) => {
  * PATCH /api/admin/orders/:id
  * Body: { status?, paymentStatus?, note? }
  * Returns: { ok:true, order }
+ * 409 INVALID_TRANSITION for moves the shared table (@lwg/order-rules/orderStatus.js) doesn't allow (e.g. Completed → New)
  *
  * NOTE: Matches your admin-orders.html Update button.
  */
@@ -200,16 +205,23 @@ router.patch('/orders/:id', requireAdmin, async (req, res) => {
       return res.status(400).json({ ok: false, error: parsed.error.issues?.[0]?.message || 'Invalid payload' });
     }
 
-    const update = {};
-    if (parsed.data.status)        update.status = parsed.data.status;
-    if (parsed.data.paymentStatus) update.paymentStatus = parsed.data.paymentStatus;
-    if (parsed.data.note)          update.note = parsed.data.note;
+    const { status, paymentStatus, note } = parsed.data;
+    const result = await applyTransition(Order, req.params.id, { status, paymentStatus }, { actor: ADMIN_USER, note: note?.trim() });
+    if (!result) return res.status(404).json({ ok: false, error: 'Not found' });
 
-    const order = await Order.findByIdAndUpdate(req.params.id, update, { new: true }).lean();
-    if (!order) return res.status(404).json({ ok: false, error: 'Not found' });
+    // Cancelling answers a customer's open cancellation request (main API, lib/cancellation.js)
+    if (result.changes.some((c) => c.field === 'status' && c.to === 'Cancelled')) {
+      await Order.updateOne(
+        { _id: req.params.id, 'cancelRequest.status': 'open' },
+        { $set: { 'cancelRequest.status': 'accepted', 'cancelRequest.note': note?.trim() || '', 'cancelRequest.resolvedBy': ADMIN_USER, 'cancelRequest.resolvedAt': new Date() } }
+      );
+    }
 
-    return res.json({ ok: true, order });
+    return res.json({ ok: true, order: result.order });
   } catch (err) {
+    if (err instanceof OrderStatusError) {
+      return res.status(err.status).json({ ok: false, error: err.message, code: err.code, ...err.details });
+    }
     console.error('Admin update order error:', err);
     return res.status(500).json({ ok: false, error: 'Server error' });
   }
@@ -242,7 +254,7 @@ router.get('/orders/export.csv', requireAdmin, listLimiter, async (req, res) =>
     }
 
     if (q && q.trim()) {
-      const term = String(q).trim();
+      const term = escapeRegex(String(q).trim());
       filter.$or = [
         { ref: { $regex: term, $options: 'i' } },
         { 'info.name':  { $regex: term, $options: 'i' } },
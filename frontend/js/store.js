@@ -3,12 +3,23 @@
 // =======================
 // Local keys & constants
 // =======================
-const KEY_PRODUCTS = 'lwg_products_v1';
-const KEY_CART     = 'lwg_cart_v1';
+// Cart and product cache are shared with the shop pages (product.html, cart.html, checkout.html)
+const KEY_PRODUCTS = 'lwg_products';
+const KEY_CART     = 'lwg_cart';
 const KEY_ORDERS   = 'lwg_orders_v1';
+const KEY_PENDING_ORDER = 'lwg_pending_order_v1';
+const KEY_ORDER_QUEUE   = 'lwg_order_queue_v1'; // only used where IndexedDB isn't available
 
-// Production API base (Render backend)
-const API = 'https://lwg-api.onrender.com';
+// Offline order queue (IndexedDB): orders placed while the API was unreachable, replayed with
+// their Idempotency-Key until the server accepts or rejects them
+const QUEUE_DB    = 'lwg_offline_v1';
+const QUEUE_STORE = 'orders';
+const SYNC_BASE_MS = 5_000;          // first retry; doubles per failed attempt
+const SYNC_MAX_MS  = 15 * 60_000;    // longest wait between attempts
+const SYNC_EVENT   = 'lwg:order-sync';
+
+// API base: the page's (window.__LWG_API__, e.g. localhost while developing), else production (Render backend)
+const API = (typeof window !== 'undefined' && window.__LWG_API__) || 'https://lwg-api.onrender.com';
 
 // =======================
 // Small fetch helpers
@@ -69,6 +80,8 @@ async function getJSON(path, options = {}) {
     const serverMsg = (r.json && (r.json.error || r.json.message)) || (r.text && r.text.slice(0, 160)) || ('HTTP ' + r.status);
     const err = new Error(serverMsg);
     err.status = r.status;
+    err.code = r.json && r.json.code;
+    err.data = r.json;
     err.response = r.resp;
     err.body = r.text;
     throw err;
@@ -113,6 +126,170 @@ function lsGet(key, fb = '[]') {
 }
 function lsSet(key, val) { localStorage.setItem(key, JSON.stringify(val)); }
 
+// Cart/cache key of a line: variant lines are "<productId>::<sku>" (as in product.html / checkout.html),
+// so two variants of one product are separate lines and each keeps its own price
+const lineKey = (productId, sku) => (sku ? productId + '::' + sku : productId);
+
+// Idempotency-Key for an order: placing the same cart + details again reuses the key of the
+// last unfinished attempt, so a retry after a timeout replays the first order instead of
+// creating a second one (the server keeps keys for a day).
+function hashString(str) {
+  let h = 0x811c9dc5; // FNV-1a
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return (h >>> 0).toString(16);
+}
+function orderAttemptKey(payload) {
+  const hash = hashString(JSON.stringify(payload));
+  const pending = lsGet(KEY_PENDING_ORDER, 'null');
+  if (pending && pending.hash === hash) return pending.key;
+  const key = crypto.randomUUID();
+  lsSet(KEY_PENDING_ORDER, { key, hash });
+  return key;
+}
+function clearOrderAttempt() { localStorage.removeItem(KEY_PENDING_ORDER); }
+
+// =======================
+// Offline order queue
+// =======================
+// Entry: { idempotencyKey, localId, payload, status: 'pending'|'submitted'|'failed',
+//          attempts, nextAttemptAt, lastError, errorCode, ref, serverId, createdAt, submittedAt }
+let _queueDb = null;
+function openQueue() {
+  if (!_queueDb) {
+    _queueDb = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB unavailable'));
+      const req = indexedDB.open(QUEUE_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(QUEUE_STORE, { keyPath: 'idempotencyKey' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return _queueDb;
+}
+async function queueTx(mode, fn) {
+  const db = await openQueue();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const req = fn(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+// Private windows in some browsers have no IndexedDB: keep the queue in localStorage there
+async function queueAll() {
+  try { return await queueTx('readonly', s => s.getAll()); }
+  catch { return lsGet(KEY_ORDER_QUEUE, '[]'); }
+}
+async function queuePut(entry) {
+  try { await queueTx('readwrite', s => s.put(entry)); }
+  catch {
+    const list = lsGet(KEY_ORDER_QUEUE, '[]').filter(e => e.idempotencyKey !== entry.idempotencyKey);
+    list.push(entry);
+    lsSet(KEY_ORDER_QUEUE, list);
+  }
+}
+async function queueDelete(idempotencyKey) {
+  try { await queueTx('readwrite', s => s.delete(idempotencyKey)); }
+  catch { lsSet(KEY_ORDER_QUEUE, lsGet(KEY_ORDER_QUEUE, '[]').filter(e => e.idempotencyKey !== idempotencyKey)); }
+}
+
+// Exponential backoff with ±20% jitter so many clients coming back online don't retry in step
+function backoffMs(attempts) {
+  const ms = Math.min(SYNC_MAX_MS, SYNC_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(ms * (0.8 + Math.random() * 0.4));
+}
+// No status = network error / timeout; 5xx, 408, 429 and an unfinished earlier attempt are worth
+// retrying. Anything else (validation, price change, sold out, key reuse) needs the customer.
+function isRetryable(e) {
+  const s = e && e.status;
+  return !s || s >= 500 || s === 408 || s === 429 || e.code === 'IDEMPOTENCY_IN_PROGRESS';
+}
+
+// Copy a queue entry's outcome onto the customer's local order record
+function reconcileLocalOrder(entry) {
+  const list = lsGet(KEY_ORDERS, '[]');
+  const o = list.find(x => x.idempotencyKey === entry.idempotencyKey);
+  if (!o) return null;
+  o.syncStatus = entry.status;
+  o.syncError = entry.status === 'failed' ? entry.lastError : '';
+  if (entry.ref) { o.ref = entry.ref; o.serverId = entry.serverId || null; o.submittedAt = entry.submittedAt; }
+  lsSet(KEY_ORDERS, list);
+  return o;
+}
+function emitSync(entry, order) {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent(SYNC_EVENT, {
+    detail: { idempotencyKey: entry.idempotencyKey, localId: entry.localId, status: entry.status,
+      ref: entry.ref || '', error: entry.lastError || '', code: entry.errorCode || '', order }
+  }));
+}
+
+async function replayOrder(entry) {
+  try {
+    const res = await getJSON('/api/orders', {
+      method: 'POST',
+      timeout: 20000,
+      headers: { 'Idempotency-Key': entry.idempotencyKey },
+      body: entry.payload
+    });
+    return { ...entry, status: 'submitted', ref: res.ref || '', serverId: res.id || null,
+      submittedAt: new Date().toISOString(), lastError: '', errorCode: '' };
+  } catch (e) {
+    const attempts = (entry.attempts || 0) + 1;
+    const lastError = e?.message || 'Network error';
+    if (isRetryable(e)) return { ...entry, attempts, nextAttemptAt: Date.now() + backoffMs(attempts), lastError };
+    if (e.code === 'PRICE_CHANGED') Store.applyServerPricing(e.data?.pricing);
+    return { ...entry, attempts, status: 'failed', lastError, errorCode: e.code || '' };
+  }
+}
+
+let _syncRun = null;
+let _syncTimer = null;
+/**
+ * Send every due pending order (all of them with force, e.g. when the browser comes back online),
+ * then schedule the next run for the earliest retry. One run at a time, across tabs too.
+ */
+function syncOrderQueue({ force = false } = {}) {
+  if (_syncRun) return _syncRun;
+  const run = async () => {
+    clearTimeout(_syncTimer);
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return; // the `online` event restarts us
+    const now = Date.now();
+    const due = (await queueAll()).filter(e => e.status === 'pending' && (force || (e.nextAttemptAt || 0) <= now));
+    for (const entry of due.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))) {
+      const next = await replayOrder(entry);
+      await queuePut(next);
+      const order = reconcileLocalOrder(next);
+      if (next.status !== 'pending') emitSync(next, order);
+    }
+    scheduleSync(await queueAll());
+  };
+  const locked = typeof navigator !== 'undefined' && navigator.locks
+    // Another tab holds the lock: check back later in case it closes before the queue is empty
+    ? () => navigator.locks.request('lwg-order-sync', { ifAvailable: true },
+      lock => (lock ? run() : queueAll().then(list => scheduleSync(list, SYNC_BASE_MS))))
+    : run;
+  _syncRun = locked().catch(e => console.warn('Order sync failed:', e?.message || e)).finally(() => { _syncRun = null; });
+  return _syncRun;
+}
+function scheduleSync(entries, minDelay = 1000) {
+  const pending = entries.filter(e => e.status === 'pending');
+  if (!pending.length) return;
+  const at = Math.min(...pending.map(e => e.nextAttemptAt || 0));
+  clearTimeout(_syncTimer);
+  _syncTimer = setTimeout(() => syncOrderQueue(), Math.max(minDelay, at - Date.now()));
+}
+
+let _syncStarted = false;
+function startOrderSync() {
+  if (_syncStarted || typeof window === 'undefined') return;
+  _syncStarted = true;
+  window.addEventListener('online', () => syncOrderQueue({ force: true }));
+  document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') syncOrderQueue(); });
+  syncOrderQueue();
+}
+
 // Seed demo products if empty (for offline / first-run)
 function seedIfNeeded() {
   if (!localStorage.getItem(KEY_PRODUCTS)) {
@@ -135,6 +312,7 @@ const Store = {
   async init() {
     seedIfNeeded();
     try { await apiReady({ maxAgeMs: 0 }); } catch {}
+    startOrderSync();
   },
 
   // -------- PRODUCTS --------
@@ -148,9 +326,9 @@ const Store = {
         const data = await getJSON('/api/products', { query: { q, page, pageSize }, timeout: 12000 });
         const list = data.products || [];
         if (Array.isArray(list)) {
-          // Keep a minimal local cache to support cart & offline
-          // Normalize ids to use _id || id || slug
-          const cached = list.map(p => ({
+          // Keep a minimal local cache to support cart & offline, merged into what the pages cached
+          // (variant lines, sale prices). Normalize ids to use _id || id || slug
+          const fresh = list.map(p => ({
             id: p._id || p.id || p.slug || crypto.randomUUID(),
             title: p.title || 'Product',
             price: Number(p.price || 0),
@@ -158,7 +336,9 @@ const Store = {
             image: p.image || (Array.isArray(p.images) ? p.images[0] : '') || '',
             desc:  p.desc || ''
           }));
-          lsSet(KEY_PRODUCTS, cached);
+          const cached = new Map(lsGet(KEY_PRODUCTS, '[]').map(p => [p.id, p]));
+          for (const p of fresh) cached.set(p.id, { ...cached.get(p.id), ...p });
+          lsSet(KEY_PRODUCTS, [...cached.values()]);
           return list;
         }
       } catch {
@@ -210,15 +390,18 @@ const Store = {
   // -------- CART (local-first) --------
   cart() { return lsGet(KEY_CART, '[]'); },
   saveCart(c) { lsSet(KEY_CART, c); },
-  addToCart(productId, qty = 1) {
+  // Lines: { id, qty } or, for a variant, { id: '<productId>::<sku>', productId, sku, qty }
+  addToCart(productId, qty = 1, sku = '') {
     const c = this.cart();
-    const it = c.find(i => i.id === productId);
-    if (it) it.qty += qty; else c.push({ id: productId, qty });
+    const id = lineKey(productId, sku);
+    const it = c.find(i => i.id === id);
+    if (it) it.qty += qty; else c.push(sku ? { id, productId, sku, qty } : { id, qty });
     this.saveCart(c);
   },
-  updateQty(productId, qty) {
+  /** @param {string} id - the cart line's id (see addToCart) */
+  updateQty(id, qty) {
     const c = this.cart();
-    const it = c.find(i => i.id === productId);
+    const it = c.find(i => i.id === id);
     if (!it) return;
     it.qty = Math.max(0, Math.floor(Number(qty || 0)));
     if (it.qty <= 0) c.splice(c.indexOf(it), 1);
@@ -239,16 +422,27 @@ const Store = {
    * Place an order (API-first). The backend expects:
    * {
    *   order: {
-   *     items: [{ id, qty, product: { title, price, image } }],
+   *     items: [{ id, sku?, qty, product: { title, price, image } }],   (sku for variant lines)
    *     total: <number>,
    *     info: { name, phone, email?, payment, address, deliveryZone?, deliveryFee?, subtotal?, grandTotal?, payment_details? }
    *   },
    *   proof?: { filename, mime, base64 }
    * }
    *
+   * Sent with an Idempotency-Key; a request that times out is retried once with the same key.
+   * When the API can't be reached (network error, timeout or 5xx) the order is queued (IndexedDB)
+   * and sent in the background once it's back; the local record carries `syncStatus` ('pending'
+   * until the server gives it a ref) and an `lwg:order-sync` window event reports each queued order
+   * that was submitted or failed. Any 4xx is thrown for the customer to fix, never queued.
+   *
    * @param {Object} info - checkout info (see above)
    * @param {Object} [opts] - optional { proof }
-   * @returns {Promise<Object>} order response or local fallback order
+   * @returns {Promise<Object>} order response or local fallback order (carrying its idempotencyKey
+   *                            and syncStatus: 'pending')
+   * @throws {Error} with the server's `status`, `code` and `data` for any 4xx, e.g. 409 when the server
+   *                 repriced the cart (PRICE_CHANGED), an item is no longer sold (PRODUCT_UNAVAILABLE),
+   *                 stock ran out (OUT_OF_STOCK) or an earlier attempt is still being processed
+   *                 (IDEMPOTENCY_IN_PROGRESS); 400 for invalid details, 429 when rate limited
    */
   async placeOrder(info, opts = {}) {
     // Build items from cart with product details (required by backend)
@@ -257,7 +451,8 @@ const Store = {
     const itemsDetailed = cartItems.map(i => {
       const p = localProducts.find(x => x.id === i.id) || {};
       return {
-        id: i.id,
+        id: i.productId || i.id,
+        ...(i.sku ? { sku: i.sku } : {}),
         qty: Number(i.qty || 0),
         product: {
           title: p.title || 'Item',
@@ -269,35 +464,46 @@ const Store = {
 
     const subtotal = itemsDetailed.reduce((s, it) => s + (Number(it.product.price) * it.qty), 0);
 
+    const payload = {
+      order: {
+        items: itemsDetailed,
+        total: subtotal,
+        info: { ...info }
+      }
+    };
+    if (opts.proof) payload.proof = opts.proof;
+    const idempotencyKey = orderAttemptKey(payload);
+
     // Attempt API
     if (await apiReady()) {
       try {
-        const payload = {
-          order: {
-            items: itemsDetailed,
-            total: subtotal,
-            info: { ...info }
-          }
-        };
-        if (opts.proof) payload.proof = opts.proof;
-
-        const res = await getJSON('/api/orders', {
+        const send = () => getJSON('/api/orders', {
           method: 'POST',
           timeout: 20000,
+          headers: { 'Idempotency-Key': idempotencyKey },
           body: payload
         });
+        // No status = timeout / network error: the order may exist already, so retry with the same key
+        const res = await send().catch(e => { if (e && e.status) throw e; return send(); });
 
         // Expected { ok:true, ref, id?, proofUrl? }
         if (res && res.ok) {
+          clearOrderAttempt();
           this.clearCart();
           return res; // pass through (contains ref/id)
         }
       } catch (e) {
+        // The server answered and refused this order (price change, sold out, invalid details…):
+        // the caller must show that to the customer; queuing it would only fail again later.
+        if (e && e.status && e.status < 500) {
+          if (e.code === 'PRICE_CHANGED') this.applyServerPricing(e.data?.pricing);
+          throw e;
+        }
         console.warn('Order via API failed, using local fallback:', e?.message || e);
       }
     }
 
-    // Local fallback order (offline mode)
+    // Offline: keep a local record and queue the exact payload + key for replay
     const order = {
       id: 'LWG-' + Math.random().toString(36).slice(2, 8).toUpperCase(),
       at: new Date().toISOString(),
@@ -305,13 +511,86 @@ const Store = {
       total: subtotal,
       info,
       status: 'New',
-      paymentStatus: 'Pending'
+      paymentStatus: 'Pending',
+      idempotencyKey,
+      syncStatus: 'pending'
     };
+    await queuePut({
+      idempotencyKey, localId: order.id, payload, status: 'pending', attempts: 0,
+      nextAttemptAt: Date.now() + SYNC_BASE_MS, lastError: '', errorCode: '',
+      ref: '', serverId: null, createdAt: order.at, submittedAt: null
+    });
     const list = this.orders(); list.push(order); this.saveOrders(list);
+    clearOrderAttempt();
     this.clearCart();
+    startOrderSync();
+    scheduleSync(await queueAll());
     return order;
   },
 
+  /**
+   * Orders placed offline and where they stand, newest first:
+   * [{ localId, idempotencyKey, status: 'pending'|'submitted'|'failed', ref, attempts, nextAttemptAt, lastError,
+   *    errorCode, createdAt, submittedAt, items:[{ title, sku, variant, qty }], total, phone, email }]
+   */
+  async queuedOrders() {
+    const cached = lsGet(KEY_PRODUCTS, '[]');
+    return (await queueAll()).map(({ payload, ...e }) => {
+      const order = (payload && payload.order) || {};
+      return {
+        ...e,
+        items: (order.items || []).map(i => ({
+          title: (i.product && i.product.title) || 'Item',
+          sku: i.sku || '',
+          variant: (i.sku && (cached.find(p => p.id === lineKey(i.id, i.sku)) || {}).variant) || '',
+          qty: i.qty
+        })),
+        total: order.total || 0,
+        phone: (order.info && order.info.phone) || '',
+        email: (order.info && order.info.email) || ''
+      };
+    }).sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  },
+
+  /** Try to send queued orders now, ignoring their backoff (e.g. a "Retry" button). */
+  syncOrders() { return syncOrderQueue({ force: true }); },
+
+  /** Keep sending queued orders in the background on pages that don't call init(). */
+  startOrderSync() { startOrderSync(); },
+
+  /**
+   * Put the items of a queued order the server refused (price change, sold out…) back into the
+   * cart and forget the order, so the customer can check out again at current prices.
+   * @returns {Promise<boolean>} false when there is no such failed order
+   */
+  async returnToCart(idempotencyKey) {
+    const entry = (await queueAll()).find(e => e.idempotencyKey === idempotencyKey);
+    if (!entry || entry.status !== 'failed') return false;
+    for (const it of entry.payload.order.items || []) this.addToCart(it.id, Number(it.qty) || 0, it.sku || '');
+    await queueDelete(idempotencyKey);
+    this.saveOrders(this.orders().filter(o => o.idempotencyKey !== idempotencyKey));
+    return true;
+  },
+
+  /**
+   * Refresh cached product prices from a server quote ({ items:[{ id, sku?, title, price, compareAtPrice? }] }),
+   * e.g. the `pricing` block of a PRICE_CHANGED response. A variant's price only updates that variant's line.
+   */
+  applyServerPricing(pricing) {
+    const quote = (pricing && pricing.items) || [];
+    if (!quote.length) return;
+    const list = lsGet(KEY_PRODUCTS, '[]');
+    for (const q of quote) {
+      const p = list.find(x => x.id === lineKey(q.id, q.sku));
+      if (p) {
+        p.price = Number(q.price || 0);
+        p.compareAtPrice = q.compareAtPrice || null;
+        if (q.title) p.title = q.title;
+      }
+    }
+    lsSet(KEY_PRODUCTS, list);
+  },
+
   /**
    * Track an order via API; fallback to local (by id) if not reachable.
    * @param {Object} args - { ref, email?, phone? }
@@ -0,0 +1,58 @@
+// orderRef.js — order references customers can read out: LWG-YYMM-NNNNN-C
+// YYMM is the order month (UTC), NNNNN a per-month sequence from an atomic counter, so two
+// orders can never get the same ref, and C a Damm check digit over the other nine digits that
+// catches any single wrong digit and any swap of neighbouring digits.
+// Older random refs (e.g. LWG-7K2QXA) keep working: they are matched as typed, upper-cased.
+// No model imports: the main API (backend/) and the order API (frontend/js/src) each pass their own.
+
+// Damm quasigroup (weak totally anti-symmetric, order 10)
+const DAMM = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0],
+];
+
+/** Damm check digit for a string of digits */
+export function checkDigit(digits) {
+  let interim = 0;
+  for (const d of String(digits)) interim = DAMM[interim][Number(d)];
+  return String(interim);
+}
+
+// "LWG-2610-00042-7", also typed as "lwg 2610 00042 7" or "2610000427"
+const SEQUENTIAL = /^(?:LWG)?(\d{4})(\d{5,})(\d)$/;
+
+/**
+ * Canonical form of a ref typed by a customer or admin.
+ * Sequential refs are re-dashed; anything else (older refs) is only trimmed and upper-cased.
+ */
+export function normalizeRef(input) {
+  const ref = String(input ?? '').trim().toUpperCase();
+  const m = SEQUENTIAL.exec(ref.replace(/[\s._-]/g, ''));
+  return m ? `LWG-${m[1]}-${m[2]}-${m[3]}` : ref;
+}
+
+/** True for a sequential ref whose check digit doesn't match (a typo); older refs are never flagged */
+export function isMistypedRef(input) {
+  const m = SEQUENTIAL.exec(normalizeRef(input).replace(/-/g, ''));
+  return !!m && checkDigit(m[1] + m[2]) !== m[3];
+}
+
+/** Next ref for an order placed at `date`, drawn from the Counter model (models/Counter.js) */
+export async function nextOrderRef(Counter, date = new Date()) {
+  const yymm = String(date.getUTCFullYear()).slice(2) + String(date.getUTCMonth() + 1).padStart(2, '0');
+  const { seq } = await Counter.findOneAndUpdate(
+    { _id: `order-${yymm}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  ).lean();
+  const number = String(seq).padStart(5, '0');
+  return `LWG-${yymm}-${number}-${checkDigit(yymm + number)}`;
+}
@@ -0,0 +1,146 @@
+// orderStatus.js — allowed order / payment status moves and the order's history[]
+// Orders only move forward: New → Processing → (Partially) Shipped → Delivered → Completed, with
+// Cancelled open until the parcel leaves. Once an order has shipments, its shipping states are
+// derived from them (backend/lib/shipments.js) instead of being set by hand. Each accepted change is
+// appended to order.history with who made it, the note and when; customers see the same
+// entries (without the actor) as a tracking timeline.
+// No model imports: the main API (backend/) and the order API (frontend/js/src) each pass their own.
+
+export const ORDER_STATUSES = ['New', 'Processing', 'Partially Shipped', 'Shipped', 'Delivered', 'Completed', 'Cancelled'];
+export const PAYMENT_STATUSES = ['Pending', 'Paid', 'Failed', 'Refunded'];
+
+// status → statuses it may move to (Completed and Cancelled are final)
+export const STATUS_TRANSITIONS = {
+  New: ['Processing', 'Cancelled'],
+  Processing: ['Partially Shipped', 'Shipped', 'Completed', 'Cancelled'],
+  'Partially Shipped': ['Shipped', 'Completed'],
+  Shipped: ['Delivered', 'Completed'],
+  Delivered: ['Completed'],
+  Completed: [],
+  Cancelled: [],
+};
+export const PAYMENT_TRANSITIONS = {
+  Pending: ['Paid', 'Failed'],
+  Failed: ['Pending', 'Paid'], // customer paid again (server.js reserves the restocked items again first)
+  Paid: ['Refunded'],
+  Refunded: [],
+};
+
+// Statuses shipments move an order through, in order
+const FULFILMENT = ['New', 'Processing', 'Partially Shipped', 'Shipped', 'Delivered'];
+const SHIPMENT_STATUSES = FULFILMENT.slice(2);
+
+const FIELDS = {
+  status: { values: ORDER_STATUSES, transitions: STATUS_TRANSITIONS, initial: 'New', label: 'Status' },
+  paymentStatus: { values: PAYMENT_STATUSES, transitions: PAYMENT_TRANSITIONS, initial: 'Pending', label: 'Payment' },
+};
+
+export class OrderStatusError extends Error {
+  constructor(message, { status = 409, code = 'INVALID_TRANSITION', details = {} } = {}) {
+    super(message);
+    this.name = 'OrderStatusError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** Statuses a field may move to next; values outside the table (very old orders) may go anywhere */
+export function nextStatuses(field, from) {
+  const { values, transitions, initial } = FIELDS[field];
+  return transitions[from || initial] ?? values.filter(v => v !== from);
+}
+
+/** Status shipments should move an order to, or null (only ever forward, never out of Completed / Cancelled) */
+export function statusFromShipments(current, derived) {
+  const at = FULFILMENT.indexOf(current || 'New');
+  return derived && at >= 0 && FULFILMENT.indexOf(derived) > at ? derived : null;
+}
+
+/** The first history entry of a new order */
+export const placedEntry = (at = new Date()) => ({ field: 'status', from: null, to: 'New', actor: 'customer', note: '', at });
+
+/**
+ * Move an order's status and/or paymentStatus, recording each change in order.history.
+ * `Order` is the orders model (models/Order.js) the order is read from and written to.
+ * Unchanged values are ignored. The update only applies if nobody changed the order since it
+ * was read, so two admins can't both move it from the same state.
+ * Returns { order, changes } or null when the order doesn't exist.
+ * `fromShipments` is for backend/lib/shipments.js: the status may then skip ahead along the shipping states,
+ * which are otherwise refused for orders that have shipments.
+ * `expect` ({ status?, paymentStatus? }) is the state the caller decided on: if the order is no longer
+ * in it, nothing changes and ORDER_CHANGED is thrown.
+ * Throws OrderStatusError: 400 INVALID_STATUS | 409 INVALID_TRANSITION | 409 STATUS_FROM_SHIPMENTS | 409 ORDER_CHANGED
+ */
+export async function applyTransition(Order, orderId, wanted = {}, { actor = 'system', note = '', fromShipments = false, expect = {} } = {}) {
+  for (const field of Object.keys(FIELDS)) {
+    const to = wanted[field];
+    if (to !== undefined && !FIELDS[field].values.includes(to)) {
+      throw new OrderStatusError(`${FIELDS[field].label} must be one of ${FIELDS[field].values.join(', ')}`,
+        { status: 400, code: 'INVALID_STATUS', details: { field } });
+    }
+  }
+
+  const current = await Order.findById(orderId, { status: 1, paymentStatus: 1, 'shipments._id': 1 }).lean();
+  if (!current) return null;
+  if (Object.entries(expect).some(([field, value]) => (current[field] ?? null) !== (value ?? null))) {
+    throw new OrderStatusError('The order was updated by someone else; reload it and try again', { code: 'ORDER_CHANGED' });
+  }
+
+  const at = new Date();
+  const $set = {};
+  const changes = [];
+  for (const [field, { initial, label }] of Object.entries(FIELDS)) {
+    const to = wanted[field];
+    const from = current[field] || initial;
+    if (to === undefined || to === from) continue;
+    if (field === 'status' && fromShipments) {
+      if (statusFromShipments(from, to) !== to) continue;
+    } else if (field === 'status' && SHIPMENT_STATUSES.includes(to) && current.shipments?.length) {
+      throw new OrderStatusError(`${to} is set from the order's shipments; record the shipment instead`,
+        { code: 'STATUS_FROM_SHIPMENTS', details: { field, from, to } });
+    } else {
+      const allowed = nextStatuses(field, from);
+      if (!allowed.includes(to)) {
+        throw new OrderStatusError(
+          allowed.length
+            ? `${label} can't go from ${from} to ${to} (allowed: ${allowed.join(', ')})`
+            : `${label} can't change once it is ${from}`,
+          { details: { field, from, to, allowed } }
+        );
+      }
+    }
+    $set[field] = to;
+    changes.push({ field, from, to, actor, note: String(note || ''), at });
+  }
+  if (!changes.length) return { order: await Order.findById(orderId), changes };
+
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: current.status ?? null, paymentStatus: current.paymentStatus ?? null },
+    { $set, $push: { history: { $each: changes } } },
+    { new: true }
+  );
+  if (!order) {
+    throw new OrderStatusError('The order was updated by someone else; reload it and try again', { code: 'ORDER_CHANGED' });
+  }
+  return { order, changes };
+}
+
+/**
+ * Customer-facing timeline, oldest first: [{ field, from, to, note, at }].
+ * Orders from before history was kept get a "placed" entry from createdAt and their
+ * current states without a time.
+ */
+export function publicHistory(order) {
+  const entries = (order?.history || [])
+    .map(h => ({ field: h.field, from: h.from ?? null, to: h.to, note: h.note || '', at: h.at }))
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+  if (entries.length) return entries;
+
+  const legacy = [{ field: 'status', from: null, to: 'New', note: '', at: order?.createdAt || null }];
+  for (const [field, { initial }] of Object.entries(FIELDS)) {
+    const now = order?.[field];
+    if (now && now !== initial) legacy.push({ field, from: initial, to: now, note: '', at: null });
+  }
+  return legacy;
+}